@@ -19,24 +19,102 @@
  * @author Muhammad Taha Siddiqui
  */
 
-define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], function(file, error, search, record, runtime, query) {
+define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query', 'N/crypto', 'N/encode', 'N/compress', 'N/cache'], function(file, error, search, record, runtime, query, crypto, encode, compress, cache) {
     
-    // Configuration - customize these as needed
-    const CONFIG = {
-        // Default root folder for uploads (SuiteScripts = -15)
+    // Default configuration - the policy values are overridden by the deployment's script
+    // parameters (see PARAMETERS) so they can change without editing this file
+    const DEFAULTS = Object.freeze({
+        // Folder for paths without a root folder segment (SuiteScripts = -15)
         defaultRootFolder: -15,
         // Allowed file extensions (empty array = allow all)
         allowedExtensions: [],
         // Maximum file size in bytes (5MB default)
         maxFileSize: 5 * 1024 * 1024,
         // Enable detailed logging
-        debugMode: true
-    };
+        debugMode: true,
+        // Path prefixes requests may touch (empty array = all), e.g. '/SuiteScripts/MyApp'
+        allowedPaths: [],
+        // Path prefixes requests may never touch, checked before allowedPaths
+        deniedPaths: [],
+        // Role internal IDs or script IDs allowed to call the RESTlet (empty array = any deployed role)
+        allowedRoles: [],
+        // Governance units kept in reserve per file in a batch upload
+        usagePerFile: 200,
+        // Governance units kept in reserve per file in a sync status check
+        usagePerStatus: 50,
+        // Folder for copies of files taken before each overwrite (one subfolder per file ID)
+        backupFolder: '/SuiteScripts/AutoUploadBackups',
+        // Versions kept per file (0 = no backups)
+        backupVersions: 10,
+        // Staging folder for chunked uploads (one subfolder per upload session)
+        chunkFolder: '/SuiteScripts/AutoUploadStaging',
+        // Largest file a chunked upload may assemble (file.create() content limit)
+        maxChunkedFileSize: 10 * 1024 * 1024,
+        // Unfinished chunked upload sessions older than this are deleted (ms)
+        chunkSessionTtl: 60 * 60 * 1000,
+        // Resolved folder path → ID entries live this long in N/cache (seconds, minimum 300; 0 = no cache)
+        folderCacheTtl: 60 * 60
+    });
+
+    // Configuration for the current request: DEFAULTS plus script parameters, rebuilt by
+    // loadScriptParameters at the start of every request so no value outlives its parameter
+    let CONFIG = DEFAULTS;
+
+    // Script parameter → CONFIG key, and how to read the value
+    const PARAMETERS = [
+        { name: 'custscript_aur_root_folder', key: 'defaultRootFolder', type: 'integer' },
+        { name: 'custscript_aur_allowed_extensions', key: 'allowedExtensions', type: 'list' },
+        { name: 'custscript_aur_max_file_size', key: 'maxFileSize', type: 'integer' },
+        { name: 'custscript_aur_debug_mode', key: 'debugMode', type: 'boolean' },
+        { name: 'custscript_aur_allowed_paths', key: 'allowedPaths', type: 'list' },
+        { name: 'custscript_aur_denied_paths', key: 'deniedPaths', type: 'list' },
+        { name: 'custscript_aur_allowed_roles', key: 'allowedRoles', type: 'list' },
+        { name: 'custscript_aur_backup_folder', key: 'backupFolder', type: 'path' },
+        { name: 'custscript_aur_backup_versions', key: 'backupVersions', type: 'integer' }
+    ];
+
+    // Top-level File Cabinet folders (lowercase name → ID), loaded on first use
+    let rootFolders = null;
+
+    // Folder cache hits and misses in this request, recorded once when it ends (see handleRequest)
+    const folderCacheStats = { hits: 0, misses: 0 };
 
     /**
      * GET handler - for connection testing and status checks
+     * 
+     * With a "path" or "fileId" parameter it returns the file instead:
+     *   GET ?path=/SuiteScripts/MyFolder/myfile.js
+     *   GET ?fileId=12345
+     * 
+     * Other operations are selected with "action":
+     *   GET ?action=list&path=/SuiteScripts/MyFolder (or &folderId=123) - folder contents
+     *   GET ?action=stat&path=/SuiteScripts/MyFolder/myfile.js - file or folder metadata
+     *   GET ?action=versions&path=/SuiteScripts/MyFolder/myfile.js (or &fileId=123) - backup versions
+     * 
+     * A backup version's content is read with GET ?fileId=<versionId>.
      */
     function get(context) {
+        const access = checkAccess();
+        if (access) {
+            return access;
+        }
+        
+        if (context.action === 'list') {
+            return listFolder(context);
+        }
+        
+        if (context.action === 'stat') {
+            return statPath(context);
+        }
+        
+        if (context.action === 'versions') {
+            return listVersions(context);
+        }
+        
+        if (context.path || context.fileId) {
+            return readFile(context);
+        }
+        
         try {
             const user = runtime.getCurrentUser();
             
@@ -50,9 +128,16 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                     name: user.name,
                     role: user.role
                 },
+                // Optional protocol features, so clients only use what this deployment supports
+                features: ['chunked', 'gzip'],
+                folderCache: getFolderCacheStatus(),
                 config: {
                     defaultRootFolder: CONFIG.defaultRootFolder,
-                    maxFileSize: CONFIG.maxFileSize
+                    maxFileSize: CONFIG.maxFileSize,
+                    allowedExtensions: CONFIG.allowedExtensions,
+                    allowedPaths: CONFIG.allowedPaths,
+                    deniedPaths: CONFIG.deniedPaths,
+                    maxChunkedFileSize: CONFIG.maxChunkedFileSize
                 }
             };
         } catch (e) {
@@ -65,6 +150,225 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
         }
     }
 
+    /**
+     * Read a file's content and metadata
+     * 
+     * Text files are returned as utf8, binary files as base64.
+     */
+    function readFile(context) {
+        try {
+            let fileId;
+            let lastModified = null;
+            
+            if (context.fileId) {
+                fileId = parseInt(context.fileId, 10);
+                const validation = validateFileIdPath(fileId, true);
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        error: validation.error,
+                        message: validation.message
+                    };
+                }
+                const metadata = getFileMetadata(fileId);
+                lastModified = metadata ? metadata.lastModified : null;
+            } else {
+                const validation = validatePath(context.path);
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        error: validation.error,
+                        message: validation.message
+                    };
+                }
+                
+                const filePath = sanitizePath(context.path);
+                const pathParts = parseFilePath(filePath);
+                const existingFile = findFileByFullPath(filePath, pathParts.folderPath, pathParts.fileName);
+                
+                if (!existingFile) {
+                    return {
+                        success: false,
+                        error: 'FILE_NOT_FOUND',
+                        message: 'File not found: ' + context.path
+                    };
+                }
+                fileId = existingFile.id;
+                lastModified = existingFile.lastModified;
+            }
+            
+            const fileObj = file.load({ id: fileId });
+            
+            logDebug('File Read', { fileId: fileId, path: fileObj.path, size: fileObj.size });
+            
+            const encoding = fileObj.isText ? 'utf8' : 'base64';
+            const content = fileObj.getContents();
+            
+            return {
+                success: true,
+                fileId: fileId,
+                path: '/' + fileObj.path,
+                name: fileObj.name,
+                size: fileObj.size,
+                encoding: encoding,
+                content: content,
+                hash: hashContent(content, encoding),
+                lastModified: lastModified
+            };
+            
+        } catch (e) {
+            log.error('Read Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'READ_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * List the child folders and files of a folder
+     */
+    function listFolder(context) {
+        try {
+            let folderPath = context.path ? sanitizePath(context.path).replace(/\/+$/, '') : '';
+            let folderId = null;
+            
+            // A folder ID (or no path, meaning the default root folder) is checked by its real path
+            if (context.folderId || !folderPath) {
+                folderId = context.folderId ? parseInt(context.folderId, 10) : CONFIG.defaultRootFolder;
+                folderPath = getFolderPathById(folderId);
+            }
+            
+            if (folderPath) {
+                const validation = validatePath(folderPath);
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        error: validation.error,
+                        message: validation.message
+                    };
+                }
+                folderId = folderId || findFolderByPath(folderPath.replace(/^\/+/, ''));
+            }
+            
+            if (!folderId || !folderPath) {
+                return {
+                    success: false,
+                    error: 'FOLDER_NOT_FOUND',
+                    message: 'Folder not found: ' + (context.path || context.folderId)
+                };
+            }
+            
+            const folders = query.runSuiteQL({
+                query: 'SELECT id, name FROM MediaItemFolder WHERE parent = ? ORDER BY name',
+                params: [folderId]
+            }).asMappedResults();
+            
+            const files = query.runSuiteQL({
+                query: 'SELECT id, name, filesize, lastmodifieddate FROM File WHERE folder = ? ORDER BY name',
+                params: [folderId]
+            }).asMappedResults();
+            
+            logDebug('Folder Listed', { folderId: folderId, folders: folders.length, files: files.length });
+            
+            return {
+                success: true,
+                folderId: folderId,
+                path: folderPath,
+                folders: folders.map(f => ({
+                    id: f.id,
+                    name: f.name,
+                    path: folderPath + '/' + f.name
+                })),
+                files: files.map(f => ({
+                    id: f.id,
+                    name: f.name,
+                    path: folderPath + '/' + f.name,
+                    size: f.filesize,
+                    lastModified: f.lastmodifieddate
+                }))
+            };
+            
+        } catch (e) {
+            log.error('List Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'LIST_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * Look up a path without loading the file
+     * Returns { type: 'file', fileId, size, lastModified } or { type: 'folder', folderId }
+     */
+    function statPath(context) {
+        try {
+            if (!context.path) {
+                return {
+                    success: false,
+                    error: 'MISSING_PATH',
+                    message: 'path is required'
+                };
+            }
+            
+            const validation = validatePath(context.path);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error,
+                    message: validation.message
+                };
+            }
+            
+            const filePath = sanitizePath(context.path).replace(/\/+$/, '');
+            const folderId = findFolderByPath(filePath.replace(/^\/+/, ''));
+            
+            if (folderId) {
+                return {
+                    success: true,
+                    type: 'folder',
+                    path: filePath,
+                    folderId: folderId
+                };
+            }
+            
+            const pathParts = parseFilePath(filePath);
+            const parentId = findFolderByPath(pathParts.folderPath);
+            const results = parentId ? query.runSuiteQL({
+                query: 'SELECT id, filesize, lastmodifieddate FROM File WHERE name = ? AND folder = ?',
+                params: [pathParts.fileName, parentId]
+            }).asMappedResults() : [];
+            
+            if (results.length === 0) {
+                return {
+                    success: false,
+                    error: 'FILE_NOT_FOUND',
+                    message: 'Not found: ' + context.path
+                };
+            }
+            
+            return {
+                success: true,
+                type: 'file',
+                path: filePath,
+                fileId: results[0].id,
+                size: results[0].filesize,
+                lastModified: results[0].lastmodifieddate
+            };
+            
+        } catch (e) {
+            log.error('Stat Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'STAT_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
     /**
      * POST handler - receives file upload requests
      * 
@@ -74,17 +378,124 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
      *   "content": "file content as string",
      *   "encoding": "utf8" (optional, defaults to utf8),
      *   "folder": "12345" (optional, internal ID of folder),
-     *   "description": "File description" (optional)
+     *   "description": "File description" (optional),
+     *   "expectedVersion": { "hash": "...", "lastModified": "..." } (optional),
+     *   "compression": "gzip" (optional, content is base64 of the gzipped file)
      * }
+     * 
+     * When expectedVersion is sent and the file's current content hash differs,
+     * the upload is rejected with a CONFLICT error instead of overwriting.
+     * 
+     * Batch upload: { "files": [ <upload payload>, ... ] } (see uploadBatch)
+     * 
+     * Other operations are selected with "action":
+     *   "move" - rename/move a file or folder in place (see moveFile)
+     *   "mkdir" - create a folder path, { "action": "mkdir", "path": "/SuiteScripts/New/Folder" }
+     *   "status" - compare local content hashes with the File Cabinet (see syncStatus)
+     *   "restore" - overwrite a file with one of its backup versions (see restoreVersion)
+     *   "chunk" - one part of a chunked upload for files over maxFileSize (see uploadChunk)
      */
     function post(context) {
+        const access = checkAccess();
+        if (access) {
+            return access;
+        }
+        
+        if (context.action === 'move') {
+            return moveFile(context);
+        }
+        
+        if (context.action === 'mkdir') {
+            return makeFolder(context);
+        }
+        
+        if (context.action === 'status') {
+            return syncStatus(context.files || []);
+        }
+        
+        if (context.action === 'restore') {
+            return restoreVersion(context);
+        }
+        
+        if (context.action === 'chunk') {
+            return uploadChunk(context);
+        }
+        
+        if (Array.isArray(context.files)) {
+            return uploadBatch(context.files);
+        }
+        
+        logDebug('Auto-Upload Request', 'Received upload request');
+        return uploadSingleFile(context);
+    }
+
+    /**
+     * Upload several files in one request, in order
+     * 
+     * Stops before a file when the remaining governance might not cover it and
+     * returns the paths it did not get to, so the client can send them again:
+     * {
+     *   "success": true,
+     *   "results": [ <upload response>, ... ],
+     *   "remaining": [ "/SuiteScripts/...", ... ]
+     * }
+     */
+    function uploadBatch(files) {
+        const startTime = Date.now();
+        const script = runtime.getCurrentScript();
+        const results = [];
+        let remaining = [];
+        
+        logDebug('Batch Upload Request', { files: files.length, remainingUsage: script.getRemainingUsage() });
+        
+        for (let i = 0; i < files.length; i++) {
+            if (script.getRemainingUsage() < CONFIG.usagePerFile) {
+                remaining = files.slice(i).map(f => f.path);
+                logDebug('Batch Stopped - Low Governance', {
+                    remainingUsage: script.getRemainingUsage(),
+                    processed: i,
+                    remaining: remaining.length
+                });
+                break;
+            }
+            
+            const result = uploadSingleFile(files[i] || {});
+            result.path = result.path || (files[i] && files[i].path);
+            results.push(result);
+        }
+        
+        log.audit('Batch Upload', {
+            uploaded: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length,
+            remaining: remaining.length,
+            duration: (Date.now() - startTime) + 'ms'
+        });
+        
+        return {
+            success: true,
+            batch: true,
+            results: results,
+            remaining: remaining,
+            remainingUsage: script.getRemainingUsage(),
+            duration: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Upload a single file (create, or overwrite keeping the file ID)
+     * 
+     * maxFileSize overrides CONFIG.maxFileSize (used for assembled chunked uploads)
+     */
+    function uploadSingleFile(context, maxFileSize) {
         const startTime = Date.now();
         
         try {
-            logDebug('Auto-Upload Request', 'Received upload request');
+            if (context.compression) {
+                context = decompressPayload(context, maxFileSize || CONFIG.maxFileSize);
+            }
             
             // Validate request
-            const validation = validateRequest(context);
+            const validation = validateRequest(context, maxFileSize || CONFIG.maxFileSize);
             if (!validation.valid) {
                 return {
                     success: false,
@@ -101,7 +512,8 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             logDebug('Processing Upload', {
                 path: filePath,
                 encoding: encoding,
-                contentLength: content.length
+                contentLength: content.length,
+                size: getContentSize(content, encoding)
             });
             
             // Parse path to get folder and filename
@@ -109,18 +521,6 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             const fileName = pathParts.fileName;
             const folderPath = pathParts.folderPath;
             
-            // Validate file extension
-            if (CONFIG.allowedExtensions.length > 0) {
-                const ext = fileName.split('.').pop().toLowerCase();
-                if (!CONFIG.allowedExtensions.includes(ext)) {
-                    return {
-                        success: false,
-                        error: 'INVALID_EXTENSION',
-                        message: `File extension .${ext} is not allowed`
-                    };
-                }
-            }
-            
             // Determine file type from extension
             const fileType = getFileType(fileName);
             
@@ -128,8 +528,23 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             const existingFile = findFileByFullPath(filePath, folderPath, fileName);
             let savedFileId;
             let action;
+            let backupId = null;
             
             if (existingFile) {
+                // Refuse to overwrite changes made since the client's last upload/download
+                const conflict = checkExpectedVersion(existingFile, context.expectedVersion);
+                if (conflict) {
+                    return conflict;
+                }
+                
+                // Keep a copy of the current content so the upload can be rolled back
+                try {
+                    backupId = snapshotFile(existingFile.id, filePath);
+                } catch (e) {
+                    // A failed backup should not stop the upload
+                    log.error('Backup Error', { fileId: existingFile.id, error: e.toString() });
+                }
+                
                 // UPDATE EXISTING FILE
                 // Use file.create() with conflictResolution.OVERWRITE
                 // This replaces the content while PRESERVING the file ID!
@@ -164,8 +579,21 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                 // CREATE NEW FILE
                 logDebug('Creating New File', 'Path: ' + filePath);
                 
-                // Find or create folder structure
+                // Find or create folder structure; a folder given by ID is checked against the path policy by its real path
                 const folderId = context.folder ? parseInt(context.folder, 10) : findOrCreateFolderPath(folderPath);
+                if (context.folder) {
+                    const targetFolderPath = getFolderPathById(folderId);
+                    const folderValidation = targetFolderPath
+                        ? validatePath(targetFolderPath + '/' + fileName)
+                        : { valid: false, error: 'FOLDER_NOT_FOUND', message: 'Folder not found: ' + context.folder };
+                    if (!folderValidation.valid) {
+                        return {
+                            success: false,
+                            error: folderValidation.error,
+                            message: folderValidation.message
+                        };
+                    }
+                }
                 
                 const fileObj = file.create({
                     name: fileName,
@@ -186,6 +614,7 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             }
             
             const duration = Date.now() - startTime;
+            const metadata = getFileMetadata(savedFileId);
             
             log.audit('Upload Success', {
                 fileId: savedFileId,
@@ -200,6 +629,9 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                 fileId: savedFileId,
                 path: filePath,
                 action: action,
+                hash: hashContent(content, encoding),
+                lastModified: metadata ? metadata.lastModified : null,
+                backupId: backupId,
                 duration: duration
             };
             
@@ -224,59 +656,1003 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
     }
 
     /**
-     * DELETE handler - delete a file
+     * Rename and/or move a file or folder, keeping its internal ID
+     * 
+     * Expected payload:
+     * {
+     *   "action": "move",
+     *   "path": "/SuiteScripts/Old/name.js" (or "fileId": "12345"),
+     *   "newPath": "/SuiteScripts/New/renamed.js"
+     * }
+     * 
+     * Target folders are created as needed. Script records keep pointing at the same file ID.
      */
-    function doDelete(context) {
+    function moveFile(context) {
         try {
-            if (!context.path && !context.fileId) {
+            if ((!context.path && !context.fileId) || !context.newPath) {
                 return {
                     success: false,
-                    error: 'MISSING_IDENTIFIER',
-                    message: 'File path or fileId is required'
+                    error: 'MISSING_PATH',
+                    message: 'path (or fileId) and newPath are required'
                 };
             }
-
-            let fileId;
             
-            if (context.fileId) {
-                fileId = parseInt(context.fileId, 10);
-            } else {
-                const filePath = sanitizePath(context.path);
-                const pathParts = parseFilePath(filePath);
-                const existingFile = findFileByFullPath(filePath, pathParts.folderPath, pathParts.fileName);
-                
-                if (!existingFile) {
+            const pathValidation = [context.path, context.newPath]
+                .filter(p => p)
+                .map(validatePath)
+                .find(v => !v.valid);
+            if (pathValidation) {
+                return {
+                    success: false,
+                    error: pathValidation.error,
+                    message: pathValidation.message
+                };
+            }
+            
+            const newPath = sanitizePath(context.newPath);
+            const target = parseFilePath(newPath);
+            
+            let fileId = context.fileId ? parseInt(context.fileId, 10) : null;
+            if (fileId) {
+                const validation = validateFileIdPath(fileId, false);
+                if (!validation.valid) {
                     return {
                         success: false,
-                        error: 'FILE_NOT_FOUND',
-                        message: 'File not found: ' + context.path
+                        error: validation.error,
+                        message: validation.message
                     };
                 }
+            } else {
+                const oldPath = sanitizePath(context.path);
+                const source = parseFilePath(oldPath);
+                const existingFile = findFileByFullPath(oldPath, source.folderPath, source.fileName);
+                
+                if (!existingFile) {
+                    return moveFolder(oldPath, newPath);
+                }
                 fileId = existingFile.id;
             }
-
-            file.delete({ id: fileId });
-
+            
+            if (findFileByFullPath(newPath, target.folderPath, target.fileName)) {
+                return {
+                    success: false,
+                    error: 'TARGET_EXISTS',
+                    message: 'A file already exists at ' + newPath
+                };
+            }
+            
+            const fileObj = file.load({ id: fileId });
+            const fromPath = '/' + fileObj.path;
+            
+            fileObj.name = target.fileName;
+            fileObj.folder = findOrCreateFolderPath(target.folderPath);
+            const savedFileId = fileObj.save();
+            
+            log.audit('File Moved', { fileId: savedFileId, from: fromPath, to: newPath });
+            
             return {
                 success: true,
-                message: 'File deleted successfully',
-                fileId: fileId
+                message: 'File moved successfully',
+                fileId: savedFileId,
+                path: newPath,
+                previousPath: fromPath,
+                action: 'move'
+            };
+            
+        } catch (e) {
+            log.error('Move Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'MOVE_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * Rename and/or move a folder, keeping its internal ID
+     */
+    function moveFolder(oldPath, newPath) {
+        // Everything below the folder moves with it, so no denied path may sit under either end
+        const validation = [oldPath, newPath].map(p => validatePath(p, true)).find(v => !v.valid);
+        if (validation) {
+            return {
+                success: false,
+                error: validation.error,
+                message: validation.message
             };
+        }
+        
+        const folderId = findFolderByPath(oldPath.replace(/^\/+/, ''));
+        
+        if (!folderId) {
+            return {
+                success: false,
+                error: 'FILE_NOT_FOUND',
+                message: 'File or folder not found: ' + oldPath
+            };
+        }
+        
+        if (isRootFolder(folderId)) {
+            return {
+                success: false,
+                error: 'INVALID_PATH',
+                message: 'Refusing to move a root folder: ' + oldPath
+            };
+        }
+        
+        const target = parseFilePath(newPath);
+        if (findFolderByPath(target.fullPath)) {
+            return {
+                success: false,
+                error: 'TARGET_EXISTS',
+                message: 'A folder already exists at ' + newPath
+            };
+        }
+        
+        const folderRecord = record.load({ type: record.Type.FOLDER, id: folderId });
+        folderRecord.setValue({ fieldId: 'name', value: target.fileName });
+        folderRecord.setValue({ fieldId: 'parent', value: findOrCreateFolderPath(target.folderPath) });
+        folderRecord.save();
+        invalidateFolderCache();
+        
+        log.audit('Folder Moved', { folderId: folderId, from: oldPath, to: newPath });
+        
+        return {
+            success: true,
+            message: 'Folder moved successfully',
+            folderId: folderId,
+            path: newPath,
+            previousPath: oldPath,
+            action: 'move'
+        };
+    }
+
+    /**
+     * Report the File Cabinet version of each file for a sync status check
+     * 
+     * Expected payload:
+     * {
+     *   "action": "status",
+     *   "files": [ { "path": "/SuiteScripts/MyFolder/myfile.js", "hash": "<local sha256>" }, ... ]
+     * }
+     * 
+     * Each result has exists, fileId, hash, size, lastModified and inSync (remote hash equals
+     * the local one). Like uploadBatch it stops when governance runs low and returns the
+     * paths it did not get to in "remaining".
+     */
+    function syncStatus(files) {
+        const script = runtime.getCurrentScript();
+        const results = [];
+        let remaining = [];
+        
+        for (let i = 0; i < files.length; i++) {
+            if (script.getRemainingUsage() < CONFIG.usagePerStatus) {
+                remaining = files.slice(i).map(f => f.path);
+                break;
+            }
+            
+            const entry = files[i] || {};
+            const result = { path: entry.path, exists: false };
+            
+            try {
+                const validation = entry.path ? validatePath(entry.path) : { valid: false, error: 'INVALID_PATH' };
+                if (!validation.valid) {
+                    result.error = validation.error;
+                    result.message = validation.message;
+                    results.push(result);
+                    continue;
+                }
+                
+                const filePath = sanitizePath(entry.path);
+                const pathParts = parseFilePath(filePath);
+                const existingFile = findFileByFullPath(filePath, pathParts.folderPath, pathParts.fileName);
+                
+                if (existingFile) {
+                    const fileObj = file.load({ id: existingFile.id });
+                    const hash = hashContent(fileObj.getContents(), fileObj.isText ? 'utf8' : 'base64');
+                    
+                    result.exists = true;
+                    result.fileId = existingFile.id;
+                    result.hash = hash;
+                    result.size = fileObj.size;
+                    result.lastModified = existingFile.lastModified;
+                    result.inSync = !!entry.hash && entry.hash.toLowerCase() === hash;
+                }
+            } catch (e) {
+                result.error = e.name || 'STATUS_ERROR';
+                result.message = e.message || e.toString();
+            }
+            
+            results.push(result);
+        }
+        
+        logDebug('Sync Status', {
+            checked: results.length,
+            remaining: remaining.length,
+            remainingUsage: script.getRemainingUsage()
+        });
+        
+        return {
+            success: true,
+            results: results,
+            remaining: remaining
+        };
+    }
+
+    /**
+     * Copy a file's current content into its backup folder and drop the oldest versions
+     * 
+     * Backups are named <timestamp>_<name> so they sort by time; the description holds
+     * the original path and who uploaded the overwriting version.
+     * Returns the backup file ID, or null when backups are off.
+     */
+    function snapshotFile(fileId, filePath) {
+        if (!CONFIG.backupVersions || filePath.toLowerCase().indexOf(CONFIG.backupFolder.toLowerCase() + '/') === 0) {
+            return null;
+        }
+        
+        const original = file.load({ id: fileId });
+        const user = runtime.getCurrentUser();
+        const time = new Date();
+        const folderId = findOrCreateFolderPath(CONFIG.backupFolder + '/' + fileId);
+        
+        const backup = file.create({
+            name: time.toISOString().replace(/[-:.]/g, '') + '_' + original.name,
+            fileType: original.fileType,
+            folder: folderId,
+            contents: original.getContents(),
+            description: JSON.stringify({
+                fileId: fileId,
+                path: filePath,
+                time: time.toISOString(),
+                user: user.name,
+                userId: user.id
+            })
+        });
+        const backupId = backup.save();
+        
+        // Newest first, everything past the limit goes
+        const versions = query.runSuiteQL({
+            query: 'SELECT id FROM File WHERE folder = ? ORDER BY name DESC',
+            params: [folderId]
+        }).asMappedResults();
+        versions.slice(CONFIG.backupVersions).forEach(v => file.delete({ id: v.id }));
+        
+        logDebug('Backup Created', { fileId: fileId, backupId: backupId, pruned: Math.max(versions.length - CONFIG.backupVersions, 0) });
+        return backupId;
+    }
+
+    /**
+     * Resolve a file ID from a "fileId" or "path" parameter
+     */
+    function resolveFileId(context) {
+        if (context.fileId) {
+            return parseInt(context.fileId, 10);
+        }
+        
+        const filePath = sanitizePath(context.path);
+        const pathParts = parseFilePath(filePath);
+        const existingFile = findFileByFullPath(filePath, pathParts.folderPath, pathParts.fileName);
+        return existingFile ? existingFile.id : null;
+    }
+
+    /**
+     * List the backup versions of a file, newest first
+     */
+    function listVersions(context) {
+        try {
+            if (!context.path && !context.fileId) {
+                return {
+                    success: false,
+                    error: 'MISSING_IDENTIFIER',
+                    message: 'File path or fileId is required'
+                };
+            }
+            
+            const validation = context.path ? validatePath(context.path) : { valid: true };
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error,
+                    message: validation.message
+                };
+            }
+            
+            const fileId = resolveFileId(context);
+            if (!fileId) {
+                return {
+                    success: false,
+                    error: 'FILE_NOT_FOUND',
+                    message: 'File not found: ' + context.path
+                };
+            }
+            
+            const fileValidation = context.fileId ? validateFileIdPath(fileId, true) : { valid: true };
+            if (!fileValidation.valid) {
+                return {
+                    success: false,
+                    error: fileValidation.error,
+                    message: fileValidation.message
+                };
+            }
+            
+            const folderId = findFolderByPath(CONFIG.backupFolder.replace(/^\/+/, '') + '/' + fileId);
+            const results = folderId ? query.runSuiteQL({
+                query: 'SELECT id, name, filesize, description FROM File WHERE folder = ? ORDER BY name DESC',
+                params: [folderId]
+            }).asMappedResults() : [];
+            
+            return {
+                success: true,
+                fileId: fileId,
+                versions: results.map(r => {
+                    let info = {};
+                    try {
+                        info = JSON.parse(r.description || '{}');
+                    } catch (e) {
+                        // Not written by snapshotFile, list it without details
+                    }
+                    return {
+                        versionId: r.id,
+                        name: r.name,
+                        size: r.filesize,
+                        time: info.time || null,
+                        user: info.user || null,
+                        path: info.path || null
+                    };
+                })
+            };
+            
+        } catch (e) {
+            log.error('Versions Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'VERSIONS_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * Overwrite a file with one of its backup versions, keeping the file ID
+     * 
+     * Expected payload:
+     * { "action": "restore", "path": "/SuiteScripts/MyFolder/myfile.js" (or "fileId"), "versionId": 456 }
+     * 
+     * Goes through the normal upload, so the content being replaced is backed up too.
+     */
+    function restoreVersion(context) {
+        try {
+            if ((!context.path && !context.fileId) || !context.versionId) {
+                return {
+                    success: false,
+                    error: 'MISSING_IDENTIFIER',
+                    message: 'path (or fileId) and versionId are required'
+                };
+            }
+            
+            const validation = context.path ? validatePath(context.path) : { valid: true };
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error,
+                    message: validation.message
+                };
+            }
+            
+            const fileId = resolveFileId(context);
+            if (!fileId) {
+                return {
+                    success: false,
+                    error: 'FILE_NOT_FOUND',
+                    message: 'File not found: ' + context.path
+                };
+            }
+            
+            const fileValidation = context.fileId ? validateFileIdPath(fileId, false) : { valid: true };
+            if (!fileValidation.valid) {
+                return {
+                    success: false,
+                    error: fileValidation.error,
+                    message: fileValidation.message
+                };
+            }
+            
+            // Only versions from this file's backup folder can be restored onto it
+            const versionId = parseInt(context.versionId, 10);
+            const folderId = findFolderByPath(CONFIG.backupFolder.replace(/^\/+/, '') + '/' + fileId);
+            const versionMetadata = getFileMetadata(versionId);
+            if (!folderId || !versionMetadata || String(versionMetadata.folderId) !== String(folderId)) {
+                return {
+                    success: false,
+                    error: 'VERSION_NOT_FOUND',
+                    message: 'Version ' + context.versionId + ' is not a backup of file ' + fileId
+                };
+            }
+            
+            const version = file.load({ id: versionId });
+            const original = file.load({ id: fileId });
+            
+            const result = uploadSingleFile({
+                path: '/' + original.path,
+                content: version.getContents(),
+                encoding: version.isText ? 'utf8' : 'base64',
+                description: original.description
+            });
+            
+            if (result.success) {
+                result.action = 'restore';
+                result.message = 'File restored successfully';
+                result.restoredFrom = versionId;
+                log.audit('Version Restored', { fileId: fileId, versionId: versionId });
+            }
+            return result;
+            
+        } catch (e) {
+            log.error('Restore Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'RESTORE_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * Receive one part of a chunked upload
+     * 
+     * Expected payload:
+     * {
+     *   "action": "chunk",
+     *   "sessionId": "<random hex, same for all parts>",
+     *   "path": "/SuiteScripts/MyFolder/bundle.js",
+     *   "chunkIndex": 0,
+     *   "chunkCount": 4,
+     *   "content": "<base64 of this part's bytes, cut on 3-byte boundaries>",
+     *   "encoding": "utf8" or "base64" (how the assembled file is stored),
+     *   "size": <total bytes>,
+     *   "expectedVersion": { ... } (optional, checked when the file is assembled)
+     * }
+     * 
+     * Parts are sent in order. Each is stored in a staging folder named <epoch>_<sessionId>
+     * (its description holds the target path, which every later part must repeat);
+     * the last one assembles the file through the normal upload (keeping the file ID) and
+     * removes the staging folder. Sessions that never finish are deleted after chunkSessionTtl.
+     */
+    function uploadChunk(context) {
+        try {
+            const chunkIndex = parseInt(context.chunkIndex, 10);
+            const chunkCount = parseInt(context.chunkCount, 10);
+            
+            if (!/^[A-Za-z0-9]{8,64}$/.test(context.sessionId || '') || !context.path ||
+                isNaN(chunkIndex) || isNaN(chunkCount) || chunkIndex < 0 || chunkIndex >= chunkCount ||
+                typeof context.content !== 'string') {
+                return {
+                    success: false,
+                    error: 'INVALID_CHUNK',
+                    message: 'sessionId, path, chunkIndex, chunkCount and content are required'
+                };
+            }
+            
+            const validation = validatePath(context.path);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error,
+                    message: validation.message
+                };
+            }
+            
+            if (Number(context.size) > CONFIG.maxChunkedFileSize || getContentSize(context.content, 'base64') > CONFIG.maxFileSize) {
+                return {
+                    success: false,
+                    error: 'FILE_TOO_LARGE',
+                    message: `File size (${context.size} bytes) exceeds maximum allowed for chunked uploads (${CONFIG.maxChunkedFileSize} bytes)`
+                };
+            }
+            
+            const stagingRootId = findOrCreateFolderPath(CONFIG.chunkFolder);
+            const targetPath = sanitizePath(context.path);
+            let sessionFolderId;
+            
+            if (chunkIndex === 0) {
+                cleanupChunkSessions(stagingRootId);
+                
+                // The target path is kept on the session so later parts can't be added to another file
+                const folderRecord = record.create({ type: record.Type.FOLDER });
+                folderRecord.setValue({ fieldId: 'name', value: Date.now() + '_' + context.sessionId });
+                folderRecord.setValue({ fieldId: 'parent', value: stagingRootId });
+                folderRecord.setValue({ fieldId: 'description', value: targetPath });
+                sessionFolderId = folderRecord.save();
+            } else {
+                const session = findChunkSession(stagingRootId, context.sessionId);
+                
+                if (!session) {
+                    return {
+                        success: false,
+                        error: 'SESSION_NOT_FOUND',
+                        message: 'Upload session not found or expired: ' + context.sessionId
+                    };
+                }
+                if (session.description !== targetPath) {
+                    return {
+                        success: false,
+                        error: 'SESSION_PATH_MISMATCH',
+                        message: `Upload session ${context.sessionId} is for ${session.description}, not ${targetPath}`
+                    };
+                }
+                sessionFolderId = session.id;
+            }
+            
+            file.create({
+                name: 'part_' + ('00000' + chunkIndex).slice(-5) + '.txt',
+                fileType: file.Type.PLAINTEXT,
+                folder: sessionFolderId,
+                contents: context.content,
+                conflictResolution: file.NameConflictResolution.OVERWRITE
+            }).save();
+            
+            logDebug('Chunk Received', { sessionId: context.sessionId, chunk: chunkIndex + 1, of: chunkCount });
+            
+            if (chunkIndex < chunkCount - 1) {
+                return {
+                    success: true,
+                    sessionId: context.sessionId,
+                    chunkIndex: chunkIndex,
+                    complete: false
+                };
+            }
+            
+            // Last part - assemble
+            const parts = query.runSuiteQL({
+                query: 'SELECT id FROM File WHERE folder = ? ORDER BY name',
+                params: [sessionFolderId]
+            }).asMappedResults();
+            
+            if (parts.length !== chunkCount) {
+                return {
+                    success: false,
+                    error: 'CHUNKS_MISSING',
+                    message: `Received ${parts.length} of ${chunkCount} parts for session ${context.sessionId}`
+                };
+            }
+            
+            const base64 = parts.map(p => file.load({ id: p.id }).getContents()).join('');
+            const encoding = context.encoding === 'base64' ? 'base64' : 'utf8';
+            const content = encoding === 'base64' || context.compression ? base64 : encode.convert({
+                string: base64,
+                inputEncoding: encode.Encoding.BASE_64,
+                outputEncoding: encode.Encoding.UTF_8
+            });
+            
+            const result = uploadSingleFile({
+                path: context.path,
+                content: content,
+                encoding: encoding,
+                description: context.description,
+                expectedVersion: context.expectedVersion,
+                compression: context.compression
+            }, CONFIG.maxChunkedFileSize);
+            
+            deleteChunkSession(sessionFolderId);
+            
+            result.chunked = true;
+            result.chunks = chunkCount;
+            return result;
+            
+        } catch (e) {
+            log.error('Chunk Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'CHUNK_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * Staging folder of an upload session ({ id, name, description }), or null
+     * 
+     * Names are compared exactly (<epoch>_<sessionId>) rather than with LIKE, where "_" is a
+     * wildcard; if a session was started twice, the newest one wins.
+     */
+    function findChunkSession(stagingRootId, sessionId) {
+        const sessions = query.runSuiteQL({
+            query: 'SELECT id, name, description FROM MediaItemFolder WHERE parent = ?',
+            params: [stagingRootId]
+        }).asMappedResults()
+            .filter(session => /^\d+_/.test(session.name) && session.name.substring(session.name.indexOf('_') + 1) === sessionId)
+            .sort((a, b) => parseInt(b.name, 10) - parseInt(a.name, 10));
+        
+        return sessions[0] || null;
+    }
+
+    /**
+     * Delete chunked upload sessions older than CONFIG.chunkSessionTtl
+     */
+    function cleanupChunkSessions(stagingRootId) {
+        const sessions = query.runSuiteQL({
+            query: 'SELECT id, name FROM MediaItemFolder WHERE parent = ?',
+            params: [stagingRootId]
+        }).asMappedResults();
+        
+        const now = Date.now();
+        sessions
+            .filter(session => now - parseInt(session.name.split('_')[0], 10) > CONFIG.chunkSessionTtl)
+            .forEach(session => {
+                if (runtime.getCurrentScript().getRemainingUsage() < CONFIG.usagePerFile) return;
+                logDebug('Expired Upload Session', session.name);
+                deleteChunkSession(session.id);
+            });
+    }
+
+    /**
+     * Delete a staging folder and its parts
+     */
+    function deleteChunkSession(sessionFolderId) {
+        query.runSuiteQL({
+            query: 'SELECT id FROM File WHERE folder = ?',
+            params: [sessionFolderId]
+        }).asMappedResults().forEach(p => file.delete({ id: p.id }));
+        
+        // Session folders are created directly, never through the folder cache
+        record.delete({ type: record.Type.FOLDER, id: sessionFolderId });
+    }
+
+    /**
+     * Create a folder (and any missing parents)
+     * Succeeds with created: false if the folder already exists
+     */
+    function makeFolder(context) {
+        try {
+            if (!context.path) {
+                return {
+                    success: false,
+                    error: 'MISSING_PATH',
+                    message: 'path is required'
+                };
+            }
+            
+            const validation = validatePath(context.path);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error,
+                    message: validation.message
+                };
+            }
+            
+            const folderPath = sanitizePath(context.path).replace(/\/+$/, '');
+            const existingId = findFolderByPath(folderPath.replace(/^\/+/, ''));
+            const folderId = existingId || findOrCreateFolderPath(folderPath.replace(/^\/+/, ''));
+            
+            logDebug('Folder Created', { path: folderPath, folderId: folderId, existed: !!existingId });
+            
+            return {
+                success: true,
+                path: folderPath,
+                folderId: folderId,
+                created: !existingId
+            };
+            
+        } catch (e) {
+            log.error('Mkdir Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'MKDIR_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * DELETE handler - delete a file
+     * 
+     * Parameters:
+     *   path or fileId - the file to delete
+     *   recursive=T    - if path is a folder, delete it with all its files and subfolders
+     */
+    function doDelete(context) {
+        const access = checkAccess();
+        if (access) {
+            return access;
+        }
+        
+        try {
+            if (!context.path && !context.fileId) {
+                return {
+                    success: false,
+                    error: 'MISSING_IDENTIFIER',
+                    message: 'File path or fileId is required'
+                };
+            }
+
+            let fileId;
+            
+            if (context.fileId) {
+                fileId = parseInt(context.fileId, 10);
+                const validation = validateFileIdPath(fileId, false);
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        error: validation.error,
+                        message: validation.message
+                    };
+                }
+            } else {
+                const validation = validatePath(context.path);
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        error: validation.error,
+                        message: validation.message
+                    };
+                }
+                
+                const filePath = sanitizePath(context.path);
+                const pathParts = parseFilePath(filePath);
+                const existingFile = findFileByFullPath(filePath, pathParts.folderPath, pathParts.fileName);
+                
+                if (!existingFile) {
+                    if (isTrue(context.recursive)) {
+                        return deleteFolderByPath(filePath);
+                    }
+                    return {
+                        success: false,
+                        error: 'FILE_NOT_FOUND',
+                        message: 'File not found: ' + context.path
+                    };
+                }
+                fileId = existingFile.id;
+            }
+
+            file.delete({ id: fileId });
+
+            return {
+                success: true,
+                message: 'File deleted successfully',
+                fileId: fileId
+            };
+
+        } catch (e) {
+            log.error('Delete Error', e.toString());
+            return {
+                success: false,
+                error: e.name || 'DELETE_ERROR',
+                message: e.message || e.toString()
+            };
+        }
+    }
+
+    /**
+     * Delete a folder with all files and subfolders in it
+     */
+    function deleteFolderByPath(folderPath) {
+        // The whole subtree is deleted, so no denied path may sit under the folder
+        const validation = validatePath(folderPath, true);
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: validation.error,
+                message: validation.message
+            };
+        }
+        
+        const folderId = findFolderByPath(folderPath.replace(/^\/+/, ''));
+        
+        if (!folderId) {
+            return {
+                success: false,
+                error: 'FILE_NOT_FOUND',
+                message: 'File or folder not found: ' + folderPath
+            };
+        }
+        
+        if (isRootFolder(folderId)) {
+            return {
+                success: false,
+                error: 'INVALID_PATH',
+                message: 'Refusing to delete a root folder: ' + folderPath
+            };
+        }
+        
+        // Collect the folder tree level by level
+        const folderIds = [folderId];
+        let level = [folderId];
+        while (level.length > 0) {
+            level = query.runSuiteQL({
+                query: `SELECT id FROM MediaItemFolder WHERE parent IN (${level.map(() => '?').join(',')})`,
+                params: level
+            }).asMappedResults().map(f => f.id);
+            folderIds.push(...level);
+        }
+        
+        const files = query.runSuiteQL({
+            query: `SELECT id, name FROM File WHERE folder IN (${folderIds.map(() => '?').join(',')})`,
+            params: folderIds
+        }).asMappedResults();
+        
+        const deletedFiles = [];
+        for (const f of files) {
+            if (runtime.getCurrentScript().getRemainingUsage() < 100) {
+                return {
+                    success: false,
+                    error: 'USAGE_LIMIT',
+                    message: `Deleted ${deletedFiles.length} of ${files.length} files before running out of governance. Repeat the request to continue.`,
+                    deletedFiles: deletedFiles
+                };
+            }
+            file.delete({ id: f.id });
+            deletedFiles.push(f.id);
+        }
+        
+        // Delete deepest folders first
+        try {
+            for (const id of folderIds.slice().reverse()) {
+                record.delete({ type: record.Type.FOLDER, id: id });
+            }
+        } finally {
+            invalidateFolderCache();
+        }
+        
+        log.audit('Folder Deleted', {
+            path: folderPath,
+            folderId: folderId,
+            files: deletedFiles.length,
+            folders: folderIds.length
+        });
+        
+        return {
+            success: true,
+            message: `Folder deleted successfully (${deletedFiles.length} files, ${folderIds.length} folders)`,
+            folderId: folderId,
+            deletedFiles: deletedFiles,
+            deletedFolders: folderIds.length
+        };
+    }
+
+    /**
+     * Compare the file's current content with the version the client last saw
+     * Returns a CONFLICT response, or null if it's safe to overwrite
+     */
+    function checkExpectedVersion(existingFile, expectedVersion) {
+        if (!expectedVersion || !expectedVersion.hash) {
+            return null;
+        }
+        
+        const currentFile = file.load({ id: existingFile.id });
+        const currentHash = hashContent(currentFile.getContents(), currentFile.isText ? 'utf8' : 'base64');
+        
+        if (currentHash === expectedVersion.hash) {
+            return null;
+        }
+        
+        logDebug('Version Conflict', {
+            fileId: existingFile.id,
+            expectedHash: expectedVersion.hash,
+            currentHash: currentHash
+        });
+        
+        return {
+            success: false,
+            error: 'CONFLICT',
+            message: 'File was modified in NetSuite since your last upload or download',
+            fileId: existingFile.id,
+            hash: currentHash,
+            lastModified: existingFile.lastModified,
+            expectedVersion: expectedVersion
+        };
+    }
+
+    /**
+     * SHA-256 hex hash of file content (of the decoded bytes for base64)
+     */
+    function hashContent(content, encoding) {
+        const hash = crypto.createHash({ algorithm: crypto.HashAlg.SHA256 });
+        hash.update({
+            input: content,
+            inputEncoding: encoding === 'base64' ? encode.Encoding.BASE_64 : encode.Encoding.UTF_8
+        });
+        return hash.digest({ outputEncoding: encode.Encoding.HEX }).toLowerCase();
+    }
 
-        } catch (e) {
-            log.error('Delete Error', e.toString());
-            return {
-                success: false,
-                error: e.name || 'DELETE_ERROR',
-                message: e.message || e.toString()
-            };
+    /**
+     * Turn a compressed upload payload into a plain one
+     * 
+     * The gzip data is wrapped in a file named after the target so N/compress gives back
+     * a file of the right type; text comes back as utf8, anything else as base64.
+     * Payloads that would inflate past maxFileSize are refused before gunzip where the
+     * gzip trailer shows it, and before any conversion otherwise.
+     */
+    function decompressPayload(context, maxFileSize) {
+        if (context.compression !== 'gzip') {
+            throw error.create({
+                name: 'UNSUPPORTED_COMPRESSION',
+                message: 'Unsupported compression: ' + context.compression
+            });
+        }
+        
+        if (!context.path || typeof context.content !== 'string') {
+            return context;
+        }
+        
+        const compressedSize = getContentSize(context.content, 'base64');
+        const declaredSize = getGzipSize(context.content);
+        if (compressedSize > maxFileSize || declaredSize > maxFileSize) {
+            throw fileTooLarge(Math.max(compressedSize, declaredSize), maxFileSize);
+        }
+        
+        const fileName = parseFilePath(sanitizePath(context.path)).fileName;
+        const unzipped = compress.gunzip({
+            file: file.create({
+                name: fileName + '.gz',
+                fileType: file.Type.GZIP,
+                contents: context.content
+            })
+        });
+        
+        // The trailer is only mod 2^32 and comes from the client, so check what gunzip produced
+        if (unzipped.size > maxFileSize) {
+            throw fileTooLarge(unzipped.size, maxFileSize);
+        }
+        
+        let content = unzipped.getContents();
+        if (context.encoding !== 'base64' && !unzipped.isText) {
+            content = encode.convert({
+                string: content,
+                inputEncoding: encode.Encoding.BASE_64,
+                outputEncoding: encode.Encoding.UTF_8
+            });
+        } else if (context.encoding === 'base64' && unzipped.isText) {
+            content = encode.convert({
+                string: content,
+                inputEncoding: encode.Encoding.UTF_8,
+                outputEncoding: encode.Encoding.BASE_64
+            });
         }
+        
+        logDebug('Payload Decompressed', { path: context.path, compressed: context.content.length, size: content.length });
+        
+        return Object.assign({}, context, { content: content, compression: null });
+    }
+
+    /**
+     * Uncompressed size from the trailer of base64 gzip data (last 4 bytes, little-endian)
+     */
+    function getGzipSize(content) {
+        const tail = content.replace(/\s/g, '').slice(-8);
+        if (tail.length < 8) {
+            return 0;
+        }
+        
+        const hex = encode.convert({
+            string: tail,
+            inputEncoding: encode.Encoding.BASE_64,
+            outputEncoding: encode.Encoding.HEX
+        }).slice(-8);
+        return parseInt(hex.match(/../g).reverse().join(''), 16);
+    }
+
+    /**
+     * FILE_TOO_LARGE error for a decompressed payload
+     */
+    function fileTooLarge(size, maxFileSize) {
+        return error.create({
+            name: 'FILE_TOO_LARGE',
+            message: `File size (${size} bytes) exceeds maximum allowed (${maxFileSize} bytes)`
+        });
     }
 
     /**
      * Validate the incoming request
      */
-    function validateRequest(context) {
+    function validateRequest(context, maxFileSize) {
+        const roleValidation = validateRole();
+        if (!roleValidation.valid) {
+            return roleValidation;
+        }
+        
         if (!context.path) {
             return {
                 valid: false,
@@ -293,18 +1669,38 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             };
         }
         
-        // Check file size
-        const contentSize = context.content.length;
-        if (contentSize > CONFIG.maxFileSize) {
+        // Check file size (decoded bytes, not the base64 string length)
+        const contentSize = getContentSize(context.content, context.encoding);
+        if (contentSize > maxFileSize) {
             return {
                 valid: false,
                 error: 'FILE_TOO_LARGE',
-                message: `File size (${contentSize} bytes) exceeds maximum allowed (${CONFIG.maxFileSize} bytes)`
+                message: `File size (${contentSize} bytes) exceeds maximum allowed (${maxFileSize} bytes)`
             };
         }
         
-        // Validate path format
-        if (context.path.includes('..')) {
+        // Validate file extension
+        if (CONFIG.allowedExtensions.length > 0) {
+            const ext = parseFilePath(sanitizePath(context.path)).fileName.split('.').pop().toLowerCase();
+            if (!CONFIG.allowedExtensions.includes(ext)) {
+                return {
+                    valid: false,
+                    error: 'INVALID_EXTENSION',
+                    message: `File extension .${ext} is not allowed`
+                };
+            }
+        }
+        
+        return validatePath(context.path);
+    }
+
+    /**
+     * Validate path format and the allowed / denied path prefixes
+     * 
+     * With recursive, a denied path below filePath is refused too (for operations on a whole folder).
+     */
+    function validatePath(filePath, recursive) {
+        if (filePath.includes('..')) {
             return {
                 valid: false,
                 error: 'INVALID_PATH',
@@ -312,9 +1708,150 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             };
         }
         
+        const cleanPath = sanitizePath(filePath).replace(/\/+$/, '').toLowerCase();
+        const underPrefix = prefix => {
+            const cleanPrefix = sanitizePath(prefix).replace(/\/+$/, '').toLowerCase();
+            return cleanPath === cleanPrefix || cleanPath.startsWith(cleanPrefix + '/');
+        };
+        
+        const containsPrefix = prefix => recursive &&
+            sanitizePath(prefix).replace(/\/+$/, '').toLowerCase().startsWith(cleanPath + '/');
+        
+        const denied = CONFIG.deniedPaths.find(prefix => underPrefix(prefix) || containsPrefix(prefix));
+        if (denied || (CONFIG.allowedPaths.length > 0 && !CONFIG.allowedPaths.some(underPrefix))) {
+            return {
+                valid: false,
+                error: 'FORBIDDEN_PATH',
+                message: denied
+                    ? (underPrefix(denied) ? `Path ${filePath} is under denied path ${denied}` : `Path ${filePath} contains denied path ${denied}`)
+                    : `Path ${filePath} is outside the allowed paths (${CONFIG.allowedPaths.join(', ')})`
+            };
+        }
+        
+        return { valid: true };
+    }
+
+    /**
+     * Validate the path of a file addressed by ID, so fileId requests can't get around the path policy
+     * Backup versions may be read (not changed) outside the allowed paths, if the path they were
+     * taken from (recorded by snapshotFile) passes.
+     */
+    function validateFileIdPath(fileId, readOnly) {
+        const fileObj = file.load({ id: fileId });
+        const filePath = '/' + fileObj.path;
+        
+        if (readOnly && sanitizePath(filePath).toLowerCase().startsWith(CONFIG.backupFolder.toLowerCase() + '/')) {
+            let info = {};
+            try {
+                info = JSON.parse(fileObj.description || '{}');
+            } catch (e) {
+                // Not written by snapshotFile, so only its own path can be checked
+            }
+            return validatePath(info.path || filePath);
+        }
+        
+        return validatePath(filePath);
+    }
+
+    /**
+     * Validate the current role against CONFIG.allowedRoles
+     */
+    function validateRole() {
+        if (CONFIG.allowedRoles.length === 0) {
+            return { valid: true };
+        }
+        
+        const user = runtime.getCurrentUser();
+        const allowed = CONFIG.allowedRoles.some(role =>
+            role === String(user.role) || role.toLowerCase() === String(user.roleId).toLowerCase()
+        );
+        
+        if (!allowed) {
+            return {
+                valid: false,
+                error: 'FORBIDDEN_ROLE',
+                message: `Role ${user.roleId || user.role} is not allowed to use this RESTlet`
+            };
+        }
+        
         return { valid: true };
     }
 
+    /**
+     * Check the role; returns an error response, or null if allowed
+     */
+    function checkAccess() {
+        const validation = validateRole();
+        if (!validation.valid) {
+            log.audit('Access Denied', { error: validation.error, message: validation.message });
+            return {
+                success: false,
+                error: validation.error,
+                message: validation.message
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Build CONFIG from DEFAULTS and the deployment's script parameters (blank parameters keep the default)
+     */
+    function loadScriptParameters() {
+        const script = runtime.getCurrentScript();
+        const config = Object.assign({}, DEFAULTS);
+        
+        PARAMETERS.forEach(parameter => {
+            const value = script.getParameter({ name: parameter.name });
+            if (value === null || value === undefined || value === '') {
+                return;
+            }
+            
+            if (parameter.type === 'integer') {
+                const number = parseInt(value, 10);
+                if (!isNaN(number)) {
+                    config[parameter.key] = number;
+                }
+            } else if (parameter.type === 'boolean') {
+                config[parameter.key] = isTrue(value);
+            } else if (parameter.type === 'path') {
+                config[parameter.key] = sanitizePath(String(value)).replace(/\/+$/, '');
+            } else {
+                // Comma or newline separated; extensions are compared without the dot
+                config[parameter.key] = String(value)
+                    .split(/[,\n]/)
+                    .map(item => item.trim())
+                    .filter(item => item)
+                    .map(item => parameter.key === 'allowedExtensions' ? item.replace(/^\./, '').toLowerCase() : item);
+            }
+        });
+        
+        CONFIG = config;
+        logDebug('Script Parameters', {
+            defaultRootFolder: CONFIG.defaultRootFolder,
+            allowedExtensions: CONFIG.allowedExtensions,
+            maxFileSize: CONFIG.maxFileSize,
+            allowedPaths: CONFIG.allowedPaths,
+            deniedPaths: CONFIG.deniedPaths,
+            allowedRoles: CONFIG.allowedRoles,
+            backupFolder: CONFIG.backupFolder,
+            backupVersions: CONFIG.backupVersions
+        });
+    }
+
+    /**
+     * Get the size in bytes of the content once decoded
+     */
+    function getContentSize(content, encoding) {
+        if (encoding === 'base64') {
+            const base64 = content.replace(/\s/g, '');
+            const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+            return Math.floor(base64.length * 3 / 4) - padding;
+        }
+        
+        return content.length;
+    }
+
     /**
      * Sanitize file path
      */
@@ -418,7 +1955,7 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             
             // Use SuiteQL to search for file in that specific folder
             const sql = `
-                SELECT id, name, folder 
+                SELECT id, name, folder, lastmodifieddate 
                 FROM File 
                 WHERE name = ? AND folder = ?
             `;
@@ -432,58 +1969,88 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                 return {
                     id: results[0].id,
                     name: results[0].name,
-                    folderId: folderId
+                    folderId: folderId,
+                    lastModified: results[0].lastmodifieddate
                 };
             }
             
             return null;
             
         } catch (e) {
+            // A path outside the known roots is an error, not a missing file
+            if (e.name === 'UNKNOWN_ROOT_FOLDER') {
+                throw e;
+            }
             logDebug('File Search Error', e.toString());
             return null;
         }
     }
 
+    /**
+     * Get file metadata not exposed on the file object (last modified date)
+     */
+    function getFileMetadata(fileId) {
+        try {
+            const results = query.runSuiteQL({
+                query: 'SELECT id, folder, lastmodifieddate FROM File WHERE id = ?',
+                params: [fileId]
+            }).asMappedResults();
+            
+            if (results && results.length > 0) {
+                return {
+                    id: results[0].id,
+                    folderId: results[0].folder,
+                    lastModified: results[0].lastmodifieddate
+                };
+            }
+            
+            return null;
+            
+        } catch (e) {
+            logDebug('File Metadata Error', e.toString());
+            return null;
+        }
+    }
+
     /**
      * Find folder by path using a single SuiteQL query with dynamic JOINs
+     * 
+     * The first segment is a top-level folder (SuiteScripts, SuiteApps, Templates,
+     * Web Site Hosting Files, ...). Unknown roots throw UNKNOWN_ROOT_FOLDER.
      */
     function findFolderByPath(folderPath) {
-        if (!folderPath) {
+        const parts = splitFolderPath(folderPath);
+        if (parts.length === 0) {
             return CONFIG.defaultRootFolder;
         }
         
+        const rootId = getRootFolderId(parts[0]);
+        if (parts.length === 1) {
+            return rootId;
+        }
+        
+        const cachedId = getCachedFolderId(parts);
+        if (cachedId) {
+            return cachedId;
+        }
+        
         try {
-            // Normalize path and split into parts
-            let normalizedPath = folderPath.replace(/\\/g, '/').replace(/\/+/g, '/');
-            normalizedPath = normalizedPath.replace(/^\/+|\/+$/g, '');
-            
-            const parts = normalizedPath.split('/').filter(p => p && p.trim() !== '');
-            
-            // Skip "SuiteScripts" if it's the first part (we're already in SuiteScripts root)
-            if (parts.length > 0 && parts[0].toLowerCase() === 'suitescripts') {
-                parts.shift();
-                logDebug('Skipped SuiteScripts prefix', { remainingParts: parts });
-            }
-            
-            // If no parts left after removing SuiteScripts, return root folder
-            if (parts.length === 0) {
-                return CONFIG.defaultRootFolder;
-            }
+            const subParts = parts.slice(1);
             
             // Build a single query with JOINs for the folder hierarchy
-            let sql = 'SELECT f' + parts.length + '.id as id FROM MediaItemFolder f1';
+            let sql = 'SELECT f' + subParts.length + '.id as id FROM MediaItemFolder f1';
             const params = [];
             
             // Add JOINs for each subsequent folder level
-            for (let i = 1; i < parts.length; i++) {
+            for (let i = 1; i < subParts.length; i++) {
                 sql += ` INNER JOIN MediaItemFolder f${i + 1} ON f${i + 1}.parent = f${i}.id AND f${i + 1}.name = ?`;
-                params.push(parts[i]);
+                params.push(subParts[i]);
             }
             
-            // Add WHERE clause for the first folder (under SuiteScripts root)
+            // Add WHERE clause for the first folder (under the root folder)
             sql += ' WHERE f1.parent = ? AND f1.name = ?';
-            params.push(CONFIG.defaultRootFolder);
-            params.push(parts[0]);
+            params.push(rootId);
+            params.push(subParts[0]);
             
             logDebug('Folder Query', { sql: sql, params: params });
             
@@ -497,6 +2064,7 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                     folderId: results[0].id, 
                     path: parts.join('/') 
                 });
+                cacheFolderId(parts, results[0].id);
                 return results[0].id;
             }
             
@@ -513,31 +2081,47 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
         }
     }
 
+    /**
+     * Full path of a folder from its internal ID, e.g. /SuiteScripts/MyApp (null if it doesn't exist)
+     */
+    function getFolderPathById(folderId) {
+        const names = [];
+        let currentId = folderId;
+        
+        while (currentId) {
+            const results = query.runSuiteQL({
+                query: 'SELECT name, parent FROM MediaItemFolder WHERE id = ?',
+                params: [currentId]
+            }).asMappedResults();
+            
+            if (results.length === 0) {
+                return null;
+            }
+            names.unshift(results[0].name);
+            currentId = results[0].parent;
+        }
+        
+        return names.length > 0 ? '/' + names.join('/') : null;
+    }
+
     /**
      * Find or create folder path
+     * 
+     * Only folders below the root are created; the root itself must already exist.
      */
     function findOrCreateFolderPath(folderPath) {
-        if (!folderPath) {
+        const parts = splitFolderPath(folderPath);
+        if (parts.length === 0) {
             return CONFIG.defaultRootFolder;
         }
         
+        const rootId = getRootFolderId(parts[0]);
+        const subParts = parts.slice(1);
+        if (subParts.length === 0) {
+            return rootId;
+        }
+        
         try {
-            // Normalize path and split into parts
-            let normalizedPath = folderPath.replace(/\\/g, '/').replace(/\/+/g, '/');
-            normalizedPath = normalizedPath.replace(/^\/+|\/+$/g, '');
-            
-            const parts = normalizedPath.split('/').filter(p => p && p.trim() !== '');
-            
-            // Skip "SuiteScripts" if it's the first part
-            if (parts.length > 0 && parts[0].toLowerCase() === 'suitescripts') {
-                parts.shift();
-                logDebug('Skipped SuiteScripts prefix in create', { remainingParts: parts });
-            }
-            
-            if (parts.length === 0) {
-                return CONFIG.defaultRootFolder;
-            }
-            
             // First, try to find the complete path with a single query
             const existingFolderId = findFolderByPath(parts.join('/'));
             if (existingFolderId) {
@@ -549,12 +2133,12 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
             const sql = `
                 SELECT id, name, parent 
                 FROM MediaItemFolder 
-                WHERE name IN (${parts.map(() => '?').join(',')})
+                WHERE name IN (${subParts.map(() => '?').join(',')})
             `;
             
             const allFolders = query.runSuiteQL({
                 query: sql,
-                params: parts
+                params: subParts
             }).asMappedResults();
             
             // Build a map of folders by parent for quick lookup
@@ -566,10 +2150,11 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                 foldersByParent[f.parent][f.name] = f.id;
             });
             
-            // Traverse the path, creating folders as needed
-            let currentFolderId = CONFIG.defaultRootFolder;
+            // Traverse the path from the root, creating folders as needed
+            let currentFolderId = rootId;
+            let created = false;
             
-            for (const folderName of parts) {
+            for (const folderName of subParts) {
                 if (foldersByParent[currentFolderId] && foldersByParent[currentFolderId][folderName]) {
                     currentFolderId = foldersByParent[currentFolderId][folderName];
                     logDebug('Found Existing Folder', { name: folderName, id: currentFolderId });
@@ -582,6 +2167,7 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                     folderRecord.setValue({ fieldId: 'parent', value: currentFolderId });
                     
                     currentFolderId = folderRecord.save();
+                    created = true;
                     logDebug('Created Folder', { name: folderName, id: currentFolderId });
                     
                     // Add to our map for subsequent lookups
@@ -591,6 +2177,11 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                 }
             }
             
+            // New folders don't make cached paths wrong, so add the new path instead of invalidating
+            if (created) {
+                cacheFolderId(parts, currentFolderId);
+            }
+            
             return currentFolderId;
             
         } catch (e) {
@@ -599,8 +2190,214 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
                 message: e.message,
                 folderPath: folderPath
             });
-            return CONFIG.defaultRootFolder;
+            // Falling back to the root would put the file in the wrong folder
+            throw e;
+        }
+    }
+
+    /**
+     * Application cache for resolved folder paths, or null when disabled
+     */
+    function getFolderCache() {
+        if (!CONFIG.folderCacheTtl) {
+            return null;
+        }
+        
+        return cache.getCache({ name: 'autoUploadFolders', scope: cache.Scope.PRIVATE });
+    }
+
+    /**
+     * Cache key of a folder path
+     * 
+     * Keys include a generation (a timestamp); replacing it drops every cached path at once,
+     * which is simpler than finding all paths below a renamed or deleted folder. If the cache
+     * evicted the generation, a new one is started so older entries can't come back.
+     */
+    function folderCacheKey(folderCache, parts) {
+        let generation = folderCache.get({ key: 'generation' });
+        if (!generation) {
+            generation = String(Date.now());
+            folderCache.put({ key: 'generation', value: generation });
+        }
+        return 'g' + generation + ':' + parts.join('/');
+    }
+
+    /**
+     * Look up a folder ID in the cache, counting the hit or miss
+     */
+    function getCachedFolderId(parts) {
+        const folderCache = getFolderCache();
+        if (!folderCache) {
+            return null;
+        }
+        
+        const folderId = folderCache.get({ key: folderCacheKey(folderCache, parts) });
+        folderCacheStats[folderId ? 'hits' : 'misses']++;
+        
+        return folderId ? parseInt(folderId, 10) : null;
+    }
+
+    /**
+     * Remember a resolved folder path
+     */
+    function cacheFolderId(parts, folderId) {
+        const folderCache = getFolderCache();
+        if (!folderCache) {
+            return;
+        }
+        
+        folderCache.put({
+            key: folderCacheKey(folderCache, parts),
+            value: String(folderId),
+            ttl: Math.max(CONFIG.folderCacheTtl, 300)
+        });
+    }
+
+    /**
+     * Drop all cached folder paths (after a folder is renamed, moved or deleted)
+     */
+    function invalidateFolderCache() {
+        const folderCache = getFolderCache();
+        if (!folderCache) {
+            return;
         }
+        
+        const previous = parseInt(folderCache.get({ key: 'generation' }) || '0', 10);
+        const generation = Math.max(Date.now(), previous + 1);
+        folderCache.put({ key: 'generation', value: String(generation) });
+        logDebug('Folder Cache Invalidated', { generation: generation });
+    }
+
+    /**
+     * Hit/miss totals of the current cache generation, e.g. { hits: 12, misses: 3 }
+     */
+    function getFolderCacheTotals(folderCache) {
+        const totals = folderCache.get({ key: 'stats:' + folderCache.get({ key: 'generation' }) });
+        return totals ? JSON.parse(totals) : { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Hit/miss ratio rounded to two decimals, or null before the first lookup
+     */
+    function hitRate(stats) {
+        const lookups = stats.hits + stats.misses;
+        return lookups ? Math.round(stats.hits / lookups * 100) / 100 : null;
+    }
+
+    /**
+     * Folder cache settings and hit/miss counts since the cache was last emptied, for the GET status
+     */
+    function getFolderCacheStatus() {
+        const folderCache = getFolderCache();
+        if (!folderCache) {
+            return { enabled: false };
+        }
+        
+        const totals = getFolderCacheTotals(folderCache);
+        
+        return {
+            enabled: true,
+            ttl: Math.max(CONFIG.folderCacheTtl, 300),
+            generation: folderCache.get({ key: 'generation' }),
+            hits: totals.hits,
+            misses: totals.misses,
+            hitRate: hitRate(totals)
+        };
+    }
+
+    /**
+     * Log this request's folder cache hits and misses and add them to the generation's totals
+     * 
+     * Done once per request rather than on every lookup, to keep the cache reads and writes
+     * (and their governance) to one each.
+     */
+    function recordFolderCacheStats() {
+        const folderCache = getFolderCache();
+        if (!folderCache || folderCacheStats.hits + folderCacheStats.misses === 0) {
+            return;
+        }
+        
+        logDebug('Folder Cache', {
+            hits: folderCacheStats.hits,
+            misses: folderCacheStats.misses,
+            hitRate: hitRate(folderCacheStats)
+        });
+        
+        const totals = getFolderCacheTotals(folderCache);
+        totals.hits += folderCacheStats.hits;
+        totals.misses += folderCacheStats.misses;
+        folderCache.put({
+            key: 'stats:' + folderCache.get({ key: 'generation' }),
+            value: JSON.stringify(totals),
+            ttl: Math.max(CONFIG.folderCacheTtl, 300)
+        });
+    }
+
+    /**
+     * Normalize a folder path and split it into segments
+     */
+    function splitFolderPath(folderPath) {
+        if (!folderPath) {
+            return [];
+        }
+        
+        return folderPath
+            .replace(/\\/g, '/')
+            .split('/')
+            .filter(p => p && p.trim() !== '');
+    }
+
+    /**
+     * Look up a top-level File Cabinet folder by name (case-insensitive)
+     * Throws UNKNOWN_ROOT_FOLDER rather than creating or nesting it somewhere else
+     */
+    function getRootFolderId(name) {
+        const roots = getRootFolders();
+        const root = roots[name.toLowerCase()];
+        
+        if (!root) {
+            throw error.create({
+                name: 'UNKNOWN_ROOT_FOLDER',
+                message: `"${name}" is not a top-level File Cabinet folder. Paths must start with one of: ` +
+                    Object.keys(roots).map(key => roots[key].name).join(', ')
+            });
+        }
+        
+        return root.id;
+    }
+
+    /**
+     * Load the top-level File Cabinet folders
+     */
+    function getRootFolders() {
+        if (!rootFolders) {
+            rootFolders = {};
+            query.runSuiteQL({
+                query: 'SELECT id, name FROM MediaItemFolder WHERE parent IS NULL'
+            }).asMappedResults().forEach(f => {
+                rootFolders[String(f.name).toLowerCase()] = { id: f.id, name: f.name };
+            });
+            
+            logDebug('Root Folders Loaded', rootFolders);
+        }
+        
+        return rootFolders;
+    }
+
+    /**
+     * Check whether a folder ID is a top-level File Cabinet folder
+     */
+    function isRootFolder(folderId) {
+        const roots = getRootFolders();
+        return String(folderId) === String(CONFIG.defaultRootFolder) ||
+            Object.keys(roots).some(key => String(roots[key].id) === String(folderId));
+    }
+
+    /**
+     * Parse boolean request parameters ("T", "true", true)
+     */
+    function isTrue(value) {
+        return value === true || value === 'T' || value === 'true';
     }
 
     /**
@@ -612,10 +2409,27 @@ define(['N/file', 'N/error', 'N/search', 'N/record', 'N/runtime', 'N/query'], fu
         }
     }
 
+    /**
+     * Wrap an entry point so per-request state starts empty and is reported when it ends
+     */
+    function handleRequest(handler) {
+        return function(context) {
+            loadScriptParameters();
+            folderCacheStats.hits = 0;
+            folderCacheStats.misses = 0;
+            
+            try {
+                return handler(context);
+            } finally {
+                recordFolderCacheStats();
+            }
+        };
+    }
+
     return {
-        get: get,
-        post: post,
-        delete: doDelete
+        get: handleRequest(get),
+        post: handleRequest(post),
+        delete: handleRequest(doDelete)
     };
     
 });
\ No newline at end of file
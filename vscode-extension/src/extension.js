@@ -1,17 +1,114 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
 const https = require('https');
+const nodeCrypto = require('crypto');
+const vm = require('vm');
+const zlib = require('zlib');
 const OAuth = require('oauth-1.0a');
 const crypto = require('crypto-js');
 const { minimatch } = require('minimatch');
 
 let uploadStatusBar;
+let uploadStatusState = 'ready';
 let fileWatcher;
-let debounceTimers = new Map();
+let deleteWatcher;
+let pendingDeletes = new Map(); // Local path → workspace folder, collected before prompting
+let deleteTimer;
+let renamingPaths = new Set(); // Old paths of in-progress renames, so they aren't treated as deletes
+let pendingUploads = new Map(); // File path → document saved within the debounce window
+let uploadTimer;
+let queueTimer; // Next retry of the offline upload queue
+let queueRunning = false;
 let outputChannel;
+let profileStatusBar;
+let extensionContext;
 let uploadHistory = [];
 let envConfigCache = new Map(); // Cache per workspace
+let activeProfiles = new Map(); // Resolved profile per workspace
+let activeProfileLabel = 'default'; // Shown in status bar and log lines
+let historyEmitter; // Fires when upload history changes
+let remoteContentEmitter; // Fires when a File Cabinet diff document should refresh
+let remoteContents = new Map(); // Prefetched File Cabinet content per remote URI
+let fileCabinetEmitter; // Fires when the File Cabinet browser should reload
+let fileSystemEmitter; // File change events for netsuite:/ workspace folders
+let syncStatus = null; // Last sync status result { workspaceFolder, time, groups }
+let syncEmitter; // Fires when the sync status view should refresh
+let syncTreeView;
+let decorationEmitter; // Fires when Explorer upload badges should refresh
+let diagnostics; // Problems panel entries from pre-upload validation
+let restletFeatures = new Map(); // RESTlet URL → optional features it advertises (GET status)
+let secretCache = new Map(); // Secret storage key → value, preloaded so getCredential can stay synchronous
+let oauth2Tokens = new Map(); // Token URL|client ID|certificate ID → { accessToken, expiresAt } or a pending request
+
+// Upload history entries kept (persisted in workspace state)
+const HISTORY_LIMIT = 200;
+
+// Offline upload queue backoff
+const QUEUE_RETRY_BASE_MS = 5000;
+const QUEUE_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Files per batch upload request (requests are also kept to one chunk's worth of content)
+const BATCH_MAX_FILES = 25;
+
+// Hosts a token URL may use plain http on (a local stand-in token server)
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+// Read-only scheme for File Cabinet content shown in diff editors
+const REMOTE_SCHEME = 'netsuite-remote';
+
+// Writable File Cabinet file system (netsuite:/SuiteScripts/...)
+const FS_SCHEME = 'netsuite';
+
+// SuiteScript validation before upload
+const NAPI_VERSIONS = ['2.0', '2.1', '2.x'];
+const SCRIPT_TYPES = [
+    'BundleInstallationScript', 'ClientScript', 'MapReduceScript', 'MassUpdateScript', 'Portlet',
+    'Restlet', 'ScheduledScript', 'SDFInstallationScript', 'Suitelet', 'UserEventScript',
+    'WorkflowActionScript', 'CustomRecordActionScript', 'FiConnectivityPlugin', 'FiParserPlugin',
+    'BankStatementParserPlugin', 'DatasetBuilderPlugin', 'WorkbookBuilderPlugin'
+];
+const SUITESCRIPT_MODULES = [
+    'N/action', 'N/auth', 'N/cache', 'N/certificateControl', 'N/commerce/recordView', 'N/compress',
+    'N/config', 'N/crypto', 'N/crypto/certificate', 'N/crypto/random', 'N/currency', 'N/currentRecord',
+    'N/dataset', 'N/datasetLink', 'N/documentCapture', 'N/email', 'N/encode', 'N/error', 'N/file',
+    'N/format', 'N/format/i18n', 'N/http', 'N/https', 'N/https/clientCertificate', 'N/keyControl',
+    'N/llm', 'N/log', 'N/machineTranslation', 'N/pgp', 'N/piremoval', 'N/plugin', 'N/portlet',
+    'N/query', 'N/record', 'N/recordContext', 'N/redirect', 'N/render', 'N/runtime', 'N/search',
+    'N/sftp', 'N/sso', 'N/suiteAppInfo', 'N/task', 'N/task/accounting/recognition', 'N/transaction',
+    'N/translation', 'N/ui/dialog', 'N/ui/message', 'N/ui/serverWidget', 'N/url', 'N/util',
+    'N/workbook', 'N/workflow', 'N/xml'
+];
+
+// Sync status view groups, in display order
+const SYNC_GROUPS = [
+    { key: 'inSync', label: 'In Sync', icon: 'pass' },
+    { key: 'localModified', label: 'Locally Modified', icon: 'arrow-up' },
+    { key: 'remoteModified', label: 'Remotely Modified', icon: 'arrow-down' },
+    { key: 'missingRemote', label: 'Missing Remotely', icon: 'cloud' }
+];
+
+// Base env files (later overrides earlier)
+const BASE_ENV_FILES = [
+    '.env',
+    '.env.local',      // Personal overrides (should be gitignored)
+    '.netsuite.env'    // Alternative name
+];
+
+// .env.<suffix> files that are not profiles
+const RESERVED_ENV_SUFFIXES = ['local', 'example', 'sample', 'template'];
+
+// OAuth credentials kept in VS Code secret storage instead of plain text settings
+const SECRET_KEYS = ['oauth.consumerKey', 'oauth.consumerSecret', 'oauth.tokenId', 'oauth.tokenSecret'];
+
+// Extensions always uploaded as base64 (matches binary types in the RESTlet's getFileType)
+const BINARY_EXTENSIONS = [
+    'png', 'jpg', 'jpeg', 'gif', 'ico', 'bmp', 'tif', 'tiff', 'webp',
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+    'zip', 'gz', 'gzip', 'tar', 'tgz',
+    'mp3', 'mp4', 'mov', 'woff', 'woff2', 'ttf', 'eot', 'otf'
+];
 
 /**
  * Load credentials from .env file in project root
@@ -20,6 +117,11 @@ let envConfigCache = new Map(); // Cache per workspace
  *   1. .env
  *   2. .env.local (for personal overrides, gitignored)
  *   3. .netsuite.env (alternative name)
+ *   4. .env.<profile> (active profile, e.g. .env.sb1 or .env.prod)
+ *   5. .env.<profile>.local (personal overrides for the profile)
+ * 
+ * The active profile is the one picked with "NetSuite: Switch Profile",
+ * otherwise NS_PROFILE from the base files, otherwise none.
  * 
  * .env format:
  *   NS_ACCOUNT_ID=1234567
@@ -39,14 +141,34 @@ function loadEnvConfig(workspaceFolder) {
         return envConfigCache.get(wsPath);
     }
 
-    const envConfig = {};
+    const envConfig = readEnvFiles(wsPath, BASE_ENV_FILES);
     
-    // Files to check (later overrides earlier)
-    const envFiles = [
-        '.env',
-        '.env.local',      // Personal overrides (should be gitignored)
-        '.netsuite.env'    // Alternative name
-    ];
+    // Layer the active profile on top of the base files
+    const storedProfile = getStoredProfile(workspaceFolder);
+    const profile = storedProfile !== undefined ? storedProfile : (envConfig.NS_PROFILE || '');
+    
+    if (profile) {
+        const profileFiles = [`.env.${profile}`, `.env.${profile}.local`];
+        const profileConfig = readEnvFiles(wsPath, profileFiles);
+        
+        if (Object.keys(profileConfig).length === 0) {
+            log(`Profile '${profile}' has no .env.${profile} file, using base credentials`);
+        }
+        Object.assign(envConfig, profileConfig);
+    }
+
+    // Cache it
+    envConfigCache.set(wsPath, envConfig);
+    activeProfiles.set(wsPath, profile || null);
+    
+    return envConfig;
+}
+
+/**
+ * Read and merge a list of env files from a folder
+ */
+function readEnvFiles(wsPath, envFiles) {
+    const envConfig = {};
 
     for (const fileName of envFiles) {
         const envPath = path.join(wsPath, fileName);
@@ -62,12 +184,54 @@ function loadEnvConfig(workspaceFolder) {
         }
     }
 
-    // Cache it
-    envConfigCache.set(wsPath, envConfig);
-    
     return envConfig;
 }
 
+/**
+ * Get the profile picked for a workspace via the switcher
+ * Returns undefined if none was picked, '' for the explicit default profile
+ */
+function getStoredProfile(workspaceFolder) {
+    if (!extensionContext || !workspaceFolder) return undefined;
+    
+    const stored = extensionContext.workspaceState.get('netsuite-auto-upload.profiles') || {};
+    return stored[workspaceFolder.uri.fsPath];
+}
+
+/**
+ * Get the active profile name for a workspace (null = default profile)
+ */
+function getActiveProfile(workspaceFolder) {
+    if (!workspaceFolder) return null;
+    
+    loadEnvConfig(workspaceFolder);
+    return activeProfiles.get(workspaceFolder.uri.fsPath) || null;
+}
+
+/**
+ * List profiles available in a workspace from .env.<profile> files
+ */
+function listProfiles(workspaceFolder) {
+    if (!workspaceFolder) return [];
+    
+    let entries = [];
+    try {
+        entries = fs.readdirSync(workspaceFolder.uri.fsPath);
+    } catch (e) {
+        return [];
+    }
+    
+    const profiles = new Set();
+    for (const entry of entries) {
+        const match = entry.match(/^\.env\.([A-Za-z0-9_-]+)$/);
+        if (match && !RESERVED_ENV_SUFFIXES.includes(match[1].toLowerCase())) {
+            profiles.add(match[1]);
+        }
+    }
+    
+    return Array.from(profiles).sort();
+}
+
 /**
  * Parse .env file content
  */
@@ -113,17 +277,26 @@ function getCredential(key, workspaceFolder) {
         'oauth.consumerSecret': ['NS_CONSUMER_SECRET', 'NETSUITE_CONSUMER_SECRET'],
         'oauth.tokenId': ['NS_TOKEN_ID', 'NETSUITE_TOKEN_ID'],
         'oauth.tokenSecret': ['NS_TOKEN_SECRET', 'NETSUITE_TOKEN_SECRET'],
+        // OAuth 2.0 client credentials (authMode: oauth2)
+        'authMode': ['NS_AUTH_MODE', 'NETSUITE_AUTH_MODE'],
+        'oauth2.clientId': ['NS_CLIENT_ID', 'NETSUITE_CLIENT_ID'],
+        'oauth2.certificateId': ['NS_CERTIFICATE_ID', 'NETSUITE_CERTIFICATE_ID'],
+        'oauth2.privateKeyPath': ['NS_PRIVATE_KEY_PATH', 'NETSUITE_PRIVATE_KEY_PATH'],
+        'oauth2.scope': ['NS_OAUTH2_SCOPE', 'NETSUITE_OAUTH2_SCOPE'],
+        'oauth2.tokenUrl': ['NS_TOKEN_URL', 'NETSUITE_TOKEN_URL'],
         // Upload settings - can be configured in .env
         'uploadFrom': ['NS_UPLOAD_FROM', 'NETSUITE_UPLOAD_FROM'],
         'watchFolder': ['NS_WATCH_FOLDER', 'NETSUITE_WATCH_FOLDER'],
-        'rootPath': ['NS_ROOT_PATH', 'NETSUITE_ROOT_PATH']
+        'rootPath': ['NS_ROOT_PATH', 'NETSUITE_ROOT_PATH'],
+        'pathMappings': ['NS_PATH_MAPPINGS', 'NETSUITE_PATH_MAPPINGS']
     };
     
     // Default values for settings
     const defaults = {
         'uploadFrom': 'dist',
         'watchFolder': 'src',
-        'rootPath': '/SuiteScripts'
+        'rootPath': '/SuiteScripts',
+        'authMode': 'tba'
     };
     
     // Try .env first
@@ -138,6 +311,14 @@ function getCredential(key, workspaceFolder) {
         }
     }
     
+    // Then secret storage, for the workspace folder and active profile
+    if (SECRET_KEYS.includes(key)) {
+        const secret = secretCache.get(secretStorageKey(workspaceFolder, key));
+        if (secret) {
+            return secret;
+        }
+    }
+    
     // Fall back to VS Code settings
     const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
     const value = config.get(key);
@@ -156,9 +337,145 @@ function getCredential(key, workspaceFolder) {
 function clearEnvCache(workspaceFolder) {
     if (workspaceFolder) {
         envConfigCache.delete(workspaceFolder.uri.fsPath);
+        activeProfiles.delete(workspaceFolder.uri.fsPath);
     } else {
         envConfigCache.clear();
+        activeProfiles.clear();
+    }
+}
+
+/**
+ * Secret storage key for an OAuth credential, per workspace folder and profile
+ */
+function secretStorageKey(workspaceFolder, key, profile = getActiveProfile(workspaceFolder)) {
+    return `netsuite-auto-upload|${workspaceFolder ? workspaceFolder.uri.fsPath : ''}|${profile || ''}|${key}`;
+}
+
+/**
+ * Load the stored OAuth credentials of every workspace folder and profile into secretCache
+ */
+async function loadSecretCache() {
+    const folders = (vscode.workspace.workspaceFolders || []).filter(folder => folder.uri.scheme === 'file');
+    const keys = [];
+
+    for (const folder of [null, ...folders]) {
+        for (const profile of ['', ...listProfiles(folder)]) {
+            SECRET_KEYS.forEach(key => keys.push(secretStorageKey(folder, key, profile)));
+        }
+    }
+
+    const values = await Promise.all(keys.map(key => extensionContext.secrets.get(key)));
+    const cache = new Map();
+    keys.forEach((key, i) => {
+        if (values[i]) cache.set(key, values[i]);
+    });
+    secretCache = cache;
+}
+
+/**
+ * Store (or with an empty value, delete) an OAuth credential for the folder's active profile
+ */
+async function storeSecret(workspaceFolder, key, value) {
+    const storageKey = secretStorageKey(workspaceFolder, key);
+
+    if (value) {
+        await extensionContext.secrets.store(storageKey, value);
+        secretCache.set(storageKey, value);
+    } else {
+        await extensionContext.secrets.delete(storageKey);
+        secretCache.delete(storageKey);
+    }
+}
+
+/**
+ * Workspace folders (or null when none is open) and their settings that hold plaintext OAuth credentials
+ */
+function findPlaintextSecrets() {
+    const folders = (vscode.workspace.workspaceFolders || []).filter(folder => folder.uri.scheme === 'file');
+
+    return (folders.length > 0 ? folders : [null])
+        .map(folder => {
+            const config = vscode.workspace.getConfiguration('netsuite-auto-upload', folder ? folder.uri : undefined);
+            return { folder: folder, config: config, keys: SECRET_KEYS.filter(key => config.get(key)) };
+        })
+        .filter(entry => entry.keys.length > 0);
+}
+
+/**
+ * Offer to migrate when OAuth credentials are still in plain text settings
+ */
+async function checkPlaintextSecrets() {
+    if (findPlaintextSecrets().length === 0) return;
+
+    log('OAuth credentials found in plain text settings');
+    const selection = await vscode.window.showWarningMessage(
+        'NetSuite OAuth credentials are stored in plain text settings, where they can leak through Settings Sync or a committed .vscode/settings.json. Move them to secure storage?',
+        'Migrate',
+        'Later'
+    );
+
+    if (selection === 'Migrate') {
+        await migrateSecrets();
+    }
+}
+
+/**
+ * Command: Move OAuth credentials from settings into secret storage and clear the settings
+ */
+async function migrateSecrets() {
+    const entries = findPlaintextSecrets();
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage('No OAuth credentials found in settings');
+        return;
     }
+
+    try {
+        for (const { folder, config, keys } of entries) {
+            for (const key of keys) {
+                await storeSecret(folder, key, config.get(key));
+            }
+        }
+
+        // Clear every settings level the values could come from
+        for (const { folder, config, keys } of entries) {
+            for (const key of keys) {
+                const inspected = config.inspect(key) || {};
+                if (inspected.globalValue !== undefined) {
+                    await config.update(key, undefined, vscode.ConfigurationTarget.Global);
+                }
+                if (inspected.workspaceValue !== undefined) {
+                    await config.update(key, undefined, vscode.ConfigurationTarget.Workspace);
+                }
+                if (folder && inspected.workspaceFolderValue !== undefined) {
+                    await config.update(key, undefined, vscode.ConfigurationTarget.WorkspaceFolder);
+                }
+            }
+        }
+    } catch (error) {
+        log('Secret migration failed', { error: error.message });
+        vscode.window.showErrorMessage(`Moving credentials to secure storage failed: ${error.message}`);
+        return;
+    }
+
+    const names = entries.map(({ folder }) => folder ? `${folder.name} (${getActiveProfile(folder) || 'default'})` : 'no folder');
+    log('OAuth credentials moved to secret storage', { folders: names });
+    vscode.window.showInformationMessage(`✓ OAuth credentials moved to secure storage for ${names.join(', ')} and removed from settings`);
+}
+
+/**
+ * Get the workspace folder commands should act on
+ * Prefers the folder of the active editor, then the first folder
+ */
+function getDefaultWorkspaceFolder() {
+    const editor = vscode.window.activeTextEditor;
+    if (editor && editor.document.uri.scheme === 'file') {
+        const folder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
+        if (folder) return folder;
+    }
+    
+    // netsuite:/ folders have no .env, their credentials come from a local folder
+    const folders = (vscode.workspace.workspaceFolders || []).filter(folder => folder.uri.scheme === 'file');
+    return folders.length > 0 ? folders[0] : null;
 }
 
 /**
@@ -230,15 +547,24 @@ function resolveUploadFile(savedFilePath, workspaceFolder) {
  * 
  * Process:
  * 1. Remove upload folder prefix (dist/, src/, etc.)
- * 2. Remove FileCabinet/ prefix
- * 3. Find SuiteScripts/ and use everything from there onwards
+ * 2. Apply the first matching pathMappings rule, if any
+ * 3. Otherwise use everything after a FileCabinet/ folder, or from a SuiteScripts/ folder onwards
+ * 4. Otherwise prefix with rootPath
  * 
  * Examples:
  *   dist/FileCabinet/SuiteScripts/f3ns_teamlitzen/erp/artWork/file.js → /SuiteScripts/f3ns_teamlitzen/erp/artWork/file.js
- *   src/FileCabinet/SuiteScripts/client/app.js → /SuiteScripts/client/app.js
- *   dist/FileCabinet/SuiteScripts/lib.js → /SuiteScripts/lib.js
+ *   src/FileCabinet/SuiteApps/com.example.app/lib.js → /SuiteApps/com.example.app/lib.js
+ *   dist/SuiteScripts/lib.js → /SuiteScripts/lib.js
  */
 function calculateNetSuitePath(relativePath, workspaceFolder) {
+    return resolveNetSuitePath(relativePath, workspaceFolder).netSuitePath;
+}
+
+/**
+ * Calculate the File Cabinet path and describe the rule that produced it
+ * Returns { netSuitePath, rule }
+ */
+function resolveNetSuitePath(relativePath, workspaceFolder) {
     // Normalize path separators
     let normalizedPath = relativePath.replace(/\\/g, '/');
     
@@ -250,57 +576,262 @@ function calculateNetSuitePath(relativePath, workspaceFolder) {
         normalizedPath = normalizedPath.substring(uploadFrom.length + 1);
     }
     
-    // Remove FileCabinet prefix if present
-    if (normalizedPath.startsWith('FileCabinet/')) {
-        normalizedPath = normalizedPath.substring('FileCabinet/'.length);
+    // User rules come first, in order
+    const mappings = getPathMappings(workspaceFolder);
+    for (let i = 0; i < mappings.length; i++) {
+        const remainder = matchPathMapping(normalizedPath, mappings[i].local);
+        if (remainder === null) continue;
+        
+        return {
+            netSuitePath: applyPathTemplate(mappings[i].remote, remainder, normalizedPath),
+            rule: `pathMappings[${i}]: ${mappings[i].local} → ${mappings[i].remote}`
+        };
     }
     
-    // Find SuiteScripts in the path (case-insensitive)
-    const suiteScriptsIndex = normalizedPath.toLowerCase().indexOf('suitescripts/');
+    const segments = normalizedPath.split('/');
     
-    if (suiteScriptsIndex !== -1) {
-        // Extract everything from SuiteScripts onwards
-        // The RESTlet will skip the SuiteScripts prefix since it starts from SuiteScripts root
-        let netSuitePath = normalizedPath.substring(suiteScriptsIndex);
-        
-        // Ensure leading slash
-        if (!netSuitePath.startsWith('/')) {
-            netSuitePath = '/' + netSuitePath;
-        }
-        
-        // Clean up double slashes
-        netSuitePath = netSuitePath.replace(/\/+/g, '/');
-        
-        return netSuitePath;
+    // SDF layout: everything below FileCabinet/ is already a File Cabinet path
+    // (SuiteScripts, SuiteApps, Templates, Web Site Hosting Files, ...)
+    const fileCabinetIndex = segments.indexOf('FileCabinet');
+    if (fileCabinetIndex !== -1 && fileCabinetIndex < segments.length - 1) {
+        return {
+            netSuitePath: cleanNetSuitePath(segments.slice(fileCabinetIndex + 1).join('/')),
+            rule: 'FileCabinet folder'
+        };
     }
     
-    // If SuiteScripts not found, check if path starts with SuiteScripts (without trailing slash)
-    if (normalizedPath.toLowerCase().startsWith('suitescripts/')) {
-        let netSuitePath = '/' + normalizedPath;
-        netSuitePath = netSuitePath.replace(/\/+/g, '/');
-        return netSuitePath;
+    // A folder named exactly SuiteScripts (case-insensitive), not one that merely contains the word
+    const suiteScriptsIndex = segments.findIndex(segment => segment.toLowerCase() === 'suitescripts');
+    if (suiteScriptsIndex !== -1 && suiteScriptsIndex < segments.length - 1) {
+        return {
+            netSuitePath: cleanNetSuitePath(segments.slice(suiteScriptsIndex).join('/')),
+            rule: 'SuiteScripts folder'
+        };
     }
     
     // Fallback: use rootPath configuration
     const rootPath = getCredential('rootPath', workspaceFolder) || '/SuiteScripts';
     
-    // Remove leading slash if present
-    if (normalizedPath.startsWith('/')) {
-        normalizedPath = normalizedPath.substring(1);
+    return {
+        netSuitePath: cleanNetSuitePath(rootPath + '/' + normalizedPath),
+        rule: `rootPath (${rootPath})`
+    };
+}
+
+/**
+ * Ensure a leading slash and collapse double slashes
+ */
+function cleanNetSuitePath(netSuitePath) {
+    return ('/' + netSuitePath).replace(/\/+/g, '/');
+}
+
+/**
+ * Get the path mapping rules from .env or settings
+ * .env format: NS_PATH_MAPPINGS=web/** => /Web Site Hosting Files/Live Hosting Files/${path}; templates => /Templates
+ */
+function getPathMappings(workspaceFolder) {
+    const value = getCredential('pathMappings', workspaceFolder);
+    if (!value) return [];
+    
+    const rules = Array.isArray(value)
+        ? value
+        : String(value).split(';').map(rule => {
+            const [local, remote] = rule.split('=>').map(part => (part || '').trim());
+            return { local: local, remote: remote };
+        });
+    
+    return rules
+        .filter(rule => rule && rule.local && rule.remote)
+        .map(rule => ({ local: rule.local.replace(/\\/g, '/').replace(/^\.?\/+/, ''), remote: rule.remote }));
+}
+
+/**
+ * Match a path against a rule's local glob or folder prefix
+ * Returns the part of the path below the rule's fixed prefix, or null if it doesn't match
+ */
+function matchPathMapping(normalizedPath, local) {
+    const globIndex = local.search(/[*?[{]/);
+    
+    if (globIndex === -1) {
+        const prefix = local.replace(/\/+$/, '');
+        if (normalizedPath === prefix) return path.posix.basename(normalizedPath);
+        return normalizedPath.startsWith(prefix + '/') ? normalizedPath.substring(prefix.length + 1) : null;
+    }
+    
+    if (!minimatch(normalizedPath, local, { dot: true })) return null;
+    
+    // Fixed part of the glob, up to the last slash before the first wildcard
+    const prefix = local.substring(0, local.lastIndexOf('/', globIndex) + 1);
+    return normalizedPath.substring(prefix.length);
+}
+
+/**
+ * Fill a remote path template
+ * ${path} is the part below the rule's prefix, ${relativePath} the whole path below uploadFrom,
+ * ${fileName} the file name. A template without ${path} or ${fileName} is a folder the path goes into.
+ */
+function applyPathTemplate(template, remainder, relativePath) {
+    let netSuitePath = template;
+    if (!/\$\{(path|fileName)\}/.test(template) && !template.includes('${relativePath}')) {
+        netSuitePath = template.replace(/\/+$/, '') + '/${path}';
+    }
+    
+    netSuitePath = netSuitePath
+        .replace(/\$\{path\}/g, remainder)
+        .replace(/\$\{relativePath\}/g, relativePath)
+        .replace(/\$\{fileName\}/g, path.posix.basename(relativePath));
+    
+    return cleanNetSuitePath(netSuitePath);
+}
+
+/**
+ * Command: Show which File Cabinet path the active file uploads to, and which rule decided it
+ */
+async function showMappedPath(uri) {
+    const fileUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+    if (!fileUri) {
+        vscode.window.showErrorMessage('No active file');
+        return;
+    }
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri);
+    if (!workspaceFolder || workspaceFolder.uri.scheme !== 'file') {
+        vscode.window.showErrorMessage('File is not in a local workspace folder');
+        return;
+    }
+
+    const uploadInfo = resolveUploadFile(fileUri.fsPath, workspaceFolder);
+    const { netSuitePath, rule } = resolveNetSuitePath(uploadInfo.relativePath, workspaceFolder);
+
+    log('Mapped path', { local: uploadInfo.relativePath, netSuitePath: netSuitePath, rule: rule });
+    outputChannel.show(true);
+
+    const selection = await vscode.window.showInformationMessage(
+        `${uploadInfo.relativePath} → ${netSuitePath} (${rule})`,
+        'Copy Path'
+    );
+    if (selection === 'Copy Path') {
+        await vscode.env.clipboard.writeText(netSuitePath);
+    }
+}
+
+/**
+ * Calculate the local file path for a File Cabinet path (inverse of calculateNetSuitePath)
+ * Tries the local side of pathMappings rules, uploadFrom/FileCabinet/..., uploadFrom/... and the path below rootPath, and only
+ * accepts a candidate that maps back to the same File Cabinet path.
+ * Returns null if no local location maps to the remote path.
+ */
+function calculateLocalPath(netSuitePath, workspaceFolder) {
+    const wsPath = workspaceFolder.uri.fsPath;
+    const sourcePath = getUploadSourcePath(workspaceFolder);
+    const relative = netSuitePath.replace(/^\/+/, '');
+    const rootPath = (getCredential('rootPath', workspaceFolder) || '/SuiteScripts').replace(/^\/+|\/+$/g, '');
+
+    const candidates = [
+        path.join(sourcePath, 'FileCabinet', relative),
+        path.join(sourcePath, relative)
+    ];
+    if (relative.toLowerCase().startsWith(rootPath.toLowerCase() + '/')) {
+        candidates.push(path.join(sourcePath, relative.substring(rootPath.length + 1)));
+    }
+
+    // Mapping rules with a ${path} template can be run backwards
+    const mapped = [];
+    for (const rule of getPathMappings(workspaceFolder)) {
+        const template = /\$\{(path|fileName|relativePath)\}/.test(rule.remote) ? rule.remote : rule.remote.replace(/\/+$/, '') + '/${path}';
+        const templatePrefix = cleanNetSuitePath(template.split('${path}')[0]);
+        if (!template.includes('${path}') || !netSuitePath.startsWith(templatePrefix)) continue;
+
+        const localPrefix = rule.local.substring(0, rule.local.search(/[*?[{]|$/)).replace(/[^/]*$/, '');
+        const globFree = rule.local.search(/[*?[{]/) === -1;
+        mapped.push(path.join(sourcePath, globFree ? rule.local : localPrefix, netSuitePath.substring(templatePrefix.length)));
+    }
+
+    const mapsBack = candidate =>
+        calculateNetSuitePath(path.relative(wsPath, candidate), workspaceFolder).toLowerCase() === netSuitePath.toLowerCase();
+
+    // Prefer a file that already exists, then the SDF FileCabinet layout if the project uses it
+    const existing = [...mapped, ...candidates].find(candidate => fs.existsSync(candidate) && mapsBack(candidate));
+    if (existing) return existing;
+
+    const usesFileCabinet = fs.existsSync(path.join(sourcePath, 'FileCabinet'));
+    return [...mapped, ...candidates.slice(usesFileCabinet ? 0 : 1)].find(mapsBack) || null;
+}
+
+/**
+ * Check whether a file must be uploaded as binary (base64)
+ * Uses the extension first, then sniffs the content for NUL bytes or invalid UTF-8
+ */
+function isBinaryFile(filePath, buffer) {
+    const ext = path.extname(filePath).substring(1).toLowerCase();
+    if (BINARY_EXTENSIONS.includes(ext)) {
+        return true;
+    }
+    
+    // Sniff the first 8KB like git does
+    const sample = buffer.subarray(0, 8000);
+    if (sample.includes(0)) {
+        return true;
     }
     
-    // Combine with rootPath
-    let netSuitePath = rootPath + '/' + normalizedPath;
+    // Text that isn't valid UTF-8 would be corrupted by a utf8 upload.
+    // stream: true tolerates a multi-byte character cut off at the end of the sample.
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+        return false;
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Read a file for upload, choosing utf8 or base64 encoding
+ */
+function readFileForUpload(filePath) {
+    const buffer = fs.readFileSync(filePath);
     
-    // Ensure leading slash
-    if (!netSuitePath.startsWith('/')) {
-        netSuitePath = '/' + netSuitePath;
+    if (isBinaryFile(filePath, buffer)) {
+        return { content: buffer.toString('base64'), encoding: 'base64', size: buffer.length };
     }
     
-    // Clean up double slashes
-    netSuitePath = netSuitePath.replace(/\/+/g, '/');
+    return { content: buffer.toString('utf8'), encoding: 'utf8', size: buffer.length };
+}
+
+/**
+ * Get the last known File Cabinet version of a file for the active profile
+ * Returns { hash, lastModified, fileId } or undefined
+ */
+function getFileVersion(workspaceFolder, netSuitePath) {
+    const versions = extensionContext.workspaceState.get('netsuite-auto-upload.fileVersions') || {};
+    return versions[fileVersionKey(workspaceFolder, netSuitePath)];
+}
+
+/**
+ * Remember the File Cabinet version after an upload or download
+ */
+async function setFileVersion(workspaceFolder, netSuitePath, version) {
+    const versions = extensionContext.workspaceState.get('netsuite-auto-upload.fileVersions') || {};
+    const key = fileVersionKey(workspaceFolder, netSuitePath);
+    
+    if (version && version.hash) {
+        versions[key] = {
+            hash: version.hash,
+            lastModified: version.lastModified || null,
+            fileId: version.fileId || null
+        };
+    } else {
+        delete versions[key];
+    }
     
-    return netSuitePath;
+    await extensionContext.workspaceState.update('netsuite-auto-upload.fileVersions', versions);
+}
+
+/**
+ * Versions are per account, so the key includes the profile
+ */
+function fileVersionKey(workspaceFolder, netSuitePath) {
+    const profile = getActiveProfile(workspaceFolder) || 'default';
+    return `${workspaceFolder.uri.fsPath}|${profile}|${netSuitePath}`;
 }
 
 /**
@@ -308,6 +839,7 @@ function calculateNetSuitePath(relativePath, workspaceFolder) {
  */
 function activate(context) {
     console.log('NetSuite Auto Upload extension is now active!');
+    extensionContext = context;
 
     // Create output channel for logs
     outputChannel = vscode.window.createOutputChannel('NetSuite Auto Upload');
@@ -315,6 +847,23 @@ function activate(context) {
     
     log('Extension activated');
 
+    // getCredential reads secrets synchronously, so load them up front
+    loadSecretCache()
+        .then(checkPlaintextSecrets)
+        .catch(error => log('Loading secrets failed', { error: error.message }));
+    context.subscriptions.push(
+        context.secrets.onDidChange(e => {
+            if (!e.key.startsWith('netsuite-auto-upload|')) return;
+            context.secrets.get(e.key).then(value => {
+                if (value) {
+                    secretCache.set(e.key, value);
+                } else {
+                    secretCache.delete(e.key);
+                }
+            });
+        })
+    );
+
     // Create status bar item
     uploadStatusBar = vscode.window.createStatusBarItem(
         vscode.StatusBarAlignment.Right,
@@ -325,33 +874,170 @@ function activate(context) {
     uploadStatusBar.show();
     context.subscriptions.push(uploadStatusBar);
 
+    // Create profile switcher status bar item
+    profileStatusBar = vscode.window.createStatusBarItem(
+        vscode.StatusBarAlignment.Right,
+        101
+    );
+    profileStatusBar.command = 'netsuite-auto-upload.switchProfile';
+    context.subscriptions.push(profileStatusBar);
+    refreshActiveProfile();
+
     // Register commands
     context.subscriptions.push(
         vscode.commands.registerCommand('netsuite-auto-upload.configure', configure),
+        vscode.commands.registerCommand('netsuite-auto-upload.migrateSecrets', migrateSecrets),
         vscode.commands.registerCommand('netsuite-auto-upload.enable', enable),
         vscode.commands.registerCommand('netsuite-auto-upload.disable', disable),
         vscode.commands.registerCommand('netsuite-auto-upload.uploadCurrent', uploadCurrentFile),
         vscode.commands.registerCommand('netsuite-auto-upload.testConnection', testConnection),
         vscode.commands.registerCommand('netsuite-auto-upload.showLogs', () => outputChannel.show()),
-        vscode.commands.registerCommand('netsuite-auto-upload.createEnvFile', () => createEnvTemplate(null))
+        vscode.commands.registerCommand('netsuite-auto-upload.createEnvFile', () => createEnvTemplate(null)),
+        vscode.commands.registerCommand('netsuite-auto-upload.switchProfile', switchProfile),
+        vscode.commands.registerCommand('netsuite-auto-upload.downloadCurrent', downloadCurrentFile),
+        vscode.commands.registerCommand('netsuite-auto-upload.compareWithRemote', compareWithRemote),
+        vscode.commands.registerCommand('netsuite-auto-upload.showRemoteVersions', showRemoteVersions),
+        vscode.commands.registerCommand('netsuite-auto-upload.showMappedPath', showMappedPath),
+        vscode.commands.registerCommand('netsuite-auto-upload.uploadFolder', uploadFolder),
+        vscode.commands.registerCommand('netsuite-auto-upload.uploadProject', uploadProject),
+        vscode.commands.registerCommand('netsuite-auto-upload.flushQueue', flushUploadQueue),
+        vscode.commands.registerCommand('netsuite-auto-upload.clearQueue', clearUploadQueue)
+    );
+
+    // Resume retrying uploads queued in a previous session
+    scheduleQueueRetry();
+
+    // Upload history view
+    uploadHistory = context.workspaceState.get('netsuite-auto-upload.uploadHistory') || [];
+    historyEmitter = new vscode.EventEmitter();
+    context.subscriptions.push(
+        historyEmitter,
+        vscode.window.registerTreeDataProvider('netsuiteUploads', {
+            onDidChangeTreeData: historyEmitter.event,
+            getTreeItem: element => element,
+            getChildren: getHistoryChildren
+        }),
+        vscode.commands.registerCommand('netsuite-auto-upload.history.reupload', reuploadHistoryEntry),
+        vscode.commands.registerCommand('netsuite-auto-upload.history.openLocal', openHistoryLocalFile),
+        vscode.commands.registerCommand('netsuite-auto-upload.history.copyFileId', copyHistoryFileId),
+        vscode.commands.registerCommand('netsuite-auto-upload.history.openInNetSuite', openHistoryInNetSuite),
+        vscode.commands.registerCommand('netsuite-auto-upload.history.clear', clearHistory)
+    );
+
+    // Remote File Cabinet browser
+    fileCabinetEmitter = new vscode.EventEmitter();
+    context.subscriptions.push(
+        fileCabinetEmitter,
+        vscode.window.registerTreeDataProvider('netsuiteFileCabinet', {
+            onDidChangeTreeData: fileCabinetEmitter.event,
+            getTreeItem: element => element,
+            getChildren: getFileCabinetChildren
+        }),
+        vscode.commands.registerCommand('netsuite-auto-upload.fileCabinet.refresh', () => fileCabinetEmitter.fire()),
+        vscode.commands.registerCommand('netsuite-auto-upload.fileCabinet.open', openRemoteFile),
+        vscode.commands.registerCommand('netsuite-auto-upload.fileCabinet.download', downloadRemoteFile),
+        vscode.commands.registerCommand('netsuite-auto-upload.fileCabinet.compare', compareRemoteFile),
+        vscode.commands.registerCommand('netsuite-auto-upload.fileCabinet.delete', deleteRemoteEntry),
+        vscode.commands.registerCommand('netsuite-auto-upload.fileCabinet.copyPath', copyRemotePath)
+    );
+
+    // Pre-upload validation results
+    diagnostics = vscode.languages.createDiagnosticCollection('netsuite-auto-upload');
+    context.subscriptions.push(diagnostics);
+
+    // Explorer badges showing the upload state of watched files
+    decorationEmitter = new vscode.EventEmitter();
+    context.subscriptions.push(
+        decorationEmitter,
+        vscode.window.registerFileDecorationProvider({
+            onDidChangeFileDecorations: decorationEmitter.event,
+            provideFileDecoration: provideUploadDecoration
+        }),
+        vscode.workspace.onDidSaveTextDocument(document => decorationEmitter.fire(document.uri))
+    );
+
+    // Sync status view
+    syncEmitter = new vscode.EventEmitter();
+    syncTreeView = vscode.window.createTreeView('netsuiteSyncStatus', {
+        treeDataProvider: {
+            onDidChangeTreeData: syncEmitter.event,
+            getTreeItem: element => element,
+            getChildren: getSyncChildren
+        },
+        canSelectMany: true
+    });
+    context.subscriptions.push(
+        syncEmitter,
+        syncTreeView,
+        vscode.commands.registerCommand('netsuite-auto-upload.syncStatus', showSyncStatus),
+        vscode.commands.registerCommand('netsuite-auto-upload.sync.uploadSelected', uploadSyncSelection),
+        vscode.commands.registerCommand('netsuite-auto-upload.sync.downloadSelected', downloadSyncSelection)
+    );
+
+    // netsuite:/ file system, so File Cabinet folders can be opened as workspace folders
+    fileSystemEmitter = new vscode.EventEmitter();
+    context.subscriptions.push(
+        fileSystemEmitter,
+        vscode.workspace.registerFileSystemProvider(FS_SCHEME, {
+            onDidChangeFile: fileSystemEmitter.event,
+            watch: () => new vscode.Disposable(() => {}),
+            stat: remoteStat,
+            readDirectory: remoteReadDirectory,
+            createDirectory: remoteCreateDirectory,
+            readFile: remoteReadFile,
+            writeFile: remoteWriteFile,
+            delete: remoteDelete,
+            rename: remoteRename
+        }),
+        vscode.commands.registerCommand('netsuite-auto-upload.openFileCabinetFolder', openFileCabinetFolder)
+    );
+
+    // Read-only provider for File Cabinet content in diff editors
+    remoteContentEmitter = new vscode.EventEmitter();
+    context.subscriptions.push(
+        remoteContentEmitter,
+        vscode.workspace.registerTextDocumentContentProvider(REMOTE_SCHEME, {
+            onDidChange: remoteContentEmitter.event,
+            provideTextDocumentContent: provideRemoteContent
+        })
     );
 
     // Initialize file watcher
     initializeWatcher(context);
 
+    // Renames/moves are applied on the server in place, keeping the file ID
+    context.subscriptions.push(
+        vscode.workspace.onWillRenameFiles(e => {
+            e.files.forEach(f => renamingPaths.add(f.oldUri.fsPath));
+        }),
+        vscode.workspace.onDidRenameFiles(e => handleFileRename(e.files))
+    );
+
     // Watch for .env file changes to clear cache
     const envWatcher = vscode.workspace.createFileSystemWatcher('**/.env*');
-    envWatcher.onDidChange(() => clearEnvCache(null));
-    envWatcher.onDidCreate(() => clearEnvCache(null));
-    envWatcher.onDidDelete(() => clearEnvCache(null));
+    const onEnvChange = () => {
+        clearEnvCache(null);
+        refreshActiveProfile();
+        // New .env.<profile> files mean new secret keys to load
+        loadSecretCache();
+    };
+    envWatcher.onDidChange(onEnvChange);
+    envWatcher.onDidCreate(onEnvChange);
+    envWatcher.onDidDelete(onEnvChange);
     context.subscriptions.push(envWatcher);
 
+    // Profile is per workspace folder, follow the active editor in multi-root workspaces
+    context.subscriptions.push(
+        vscode.window.onDidChangeActiveTextEditor(() => refreshActiveProfile())
+    );
+
     // Listen for configuration changes
     context.subscriptions.push(
         vscode.workspace.onDidChangeConfiguration(e => {
             if (e.affectsConfiguration('netsuite-auto-upload')) {
                 log('Configuration changed, reinitializing watcher');
                 initializeWatcher(context);
+                decorationEmitter.fire(undefined);
             }
         })
     );
@@ -397,30 +1083,77 @@ function activate(context) {
 /**
  * Update status bar with state
  */
-function updateStatusBar(state, extra = '') {
+function updateStatusBar(state, extra = '', workspaceFolder = null) {
+    const label = getProfileLabel(workspaceFolder);
+    const ns = `NS [${label}]`;
     const states = {
-        ready: { text: '$(cloud-upload) NS: Ready', tooltip: 'NetSuite Auto Upload - Click for logs' },
-        disabled: { text: '$(circle-slash) NS: Disabled', tooltip: 'NetSuite Auto Upload (Disabled) - Click to show logs' },
-        uploading: { text: '$(sync~spin) NS: Uploading...', tooltip: `Uploading ${extra}` },
-        success: { text: '$(check) NS: Uploaded', tooltip: `Last upload: ${extra}` },
-        error: { text: '$(error) NS: Failed', tooltip: extra || 'Upload failed - Click for logs' }
+        ready: { text: `$(cloud-upload) ${ns}: Ready`, tooltip: 'NetSuite Auto Upload - Click for logs' },
+        disabled: { text: `$(circle-slash) ${ns}: Disabled`, tooltip: 'NetSuite Auto Upload (Disabled) - Click to show logs' },
+        uploading: { text: `$(sync~spin) ${ns}: Uploading...`, tooltip: `Uploading ${extra}` },
+        success: { text: `$(check) ${ns}: Uploaded`, tooltip: `Last upload: ${extra}` },
+        error: { text: `$(error) ${ns}: Failed`, tooltip: extra || 'Upload failed - Click for logs' }
     };
     
     const s = states[state] || states.ready;
-    uploadStatusBar.text = s.text;
-    uploadStatusBar.tooltip = s.tooltip;
+    const queued = Object.keys(getUploadQueue()).length;
+    uploadStatusBar.text = queued > 0 ? `${s.text} $(history) ${queued} queued` : s.text;
+    uploadStatusBar.tooltip = `${s.tooltip}\nProfile: ${label}` +
+        (queued > 0 ? `\n${queued} upload(s) queued for retry - run "NetSuite: Flush Upload Queue"` : '');
+    uploadStatusState = state;
 }
 
 /**
- * Log message to output channel
+ * Profile label for log lines and the status bar
+ * Uses the workspace folder's own profile when one is given (multi-root workspaces), else the active one
  */
-function log(message, data = null) {
+function getProfileLabel(workspaceFolder) {
+    if (!workspaceFolder || workspaceFolder.uri.scheme !== 'file') return activeProfileLabel;
+    return getActiveProfile(workspaceFolder) || 'default';
+}
+
+/**
+ * Re-resolve the active profile and refresh both status bar items
+ */
+function refreshActiveProfile() {
+    const workspaceFolder = getDefaultWorkspaceFolder();
+    const profile = getActiveProfile(workspaceFolder);
+    const label = profile || 'default';
+    
+    if (label !== activeProfileLabel) {
+        activeProfileLabel = label;
+        log(`Active profile: ${label}`);
+        // Upload state is per profile
+        if (decorationEmitter) decorationEmitter.fire(undefined);
+    }
+    
+    if (profileStatusBar) {
+        const accountId = workspaceFolder ? getCredential('accountId', workspaceFolder) : '';
+        profileStatusBar.text = `$(account) ${label}`;
+        profileStatusBar.tooltip = `NetSuite profile: ${label}${accountId ? ` (account ${accountId})` : ''} - Click to switch`;
+        if (workspaceFolder) {
+            profileStatusBar.show();
+        } else {
+            profileStatusBar.hide();
+        }
+    }
+    
+    if (uploadStatusBar) {
+        updateStatusBar(uploadStatusState);
+    }
+}
+
+/**
+ * Log message to output channel
+ */
+function log(message, data = null, workspaceFolder = null) {
     const timestamp = new Date().toISOString();
-    let logMessage = `[${timestamp}] ${message}`;
+    let logMessage = `[${timestamp}] [${getProfileLabel(workspaceFolder)}] ${message}`;
     if (data) {
         logMessage += '\n' + JSON.stringify(data, null, 2);
     }
-    outputChannel.appendLine(logMessage);
+    if (outputChannel) {
+        outputChannel.appendLine(logMessage);
+    }
 }
 
 /**
@@ -430,11 +1163,15 @@ function initializeWatcher(context) {
     const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
     const enabled = config.get('enabled');
 
-    // Dispose existing watcher
+    // Dispose existing watchers
     if (fileWatcher) {
         fileWatcher.dispose();
         fileWatcher = null;
     }
+    if (deleteWatcher) {
+        deleteWatcher.dispose();
+        deleteWatcher = null;
+    }
 
     if (!enabled) {
         updateStatusBar('disabled');
@@ -451,6 +1188,11 @@ function initializeWatcher(context) {
     });
 
     context.subscriptions.push(fileWatcher);
+
+    // Watch for deletes (create/change events are ignored)
+    deleteWatcher = vscode.workspace.createFileSystemWatcher('**/*', true, true, false);
+    deleteWatcher.onDidDelete(uri => handleFileDelete(uri));
+    context.subscriptions.push(deleteWatcher);
 }
 
 /**
@@ -463,6 +1205,11 @@ function handleFileSave(document) {
         return;
     }
 
+    // netsuite:/ files are written by the file system provider
+    if (document.uri.scheme !== 'file') {
+        return;
+    }
+
     const filePath = document.fileName;
     const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
     
@@ -482,98 +1229,359 @@ function handleFileSave(document) {
     }
 
     // Check if file matches watch patterns
+    const match = matchUploadPatterns(relativePath, watchFolder);
+    
+    if (match.excluded) {
+        log('File excluded by pattern: ' + relativePath);
+        return;
+    }
+
+    if (!match.included) {
+        log('File not matching watch patterns: ' + relativePath);
+        return;
+    }
+
+    // Debounce the upload
+    debounceUpload(document);
+}
+
+/**
+ * Match a workspace-relative path against watchPatterns / excludePatterns
+ * Patterns are tried against the path inside the folder and the full relative path
+ * Returns { excluded, included }
+ */
+function matchUploadPatterns(relativePath, folder) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
     const watchPatterns = config.get('watchPatterns') || [];
     const excludePatterns = config.get('excludePatterns') || [];
     
-    // Get path relative to watch folder for pattern matching
-    const pathInWatchFolder = relativePath.startsWith(watchFolder + '/') 
-        ? relativePath.substring(watchFolder.length + 1)
+    // Get path relative to the folder for pattern matching
+    const pathInFolder = relativePath.startsWith(folder + '/') 
+        ? relativePath.substring(folder.length + 1)
         : relativePath;
     
-    // Check exclusions first
-    const isExcluded = excludePatterns.some(pattern => {
+    const matches = (patterns, kind) => patterns.some(pattern => {
         try {
-            return minimatch(pathInWatchFolder, pattern, { dot: true }) ||
+            return minimatch(pathInFolder, pattern, { dot: true }) ||
                    minimatch(relativePath, pattern, { dot: true });
         } catch (e) {
-            log('Invalid exclude pattern: ' + pattern);
+            log(`Invalid ${kind} pattern: ${pattern}`);
             return false;
         }
     });
     
-    if (isExcluded) {
-        log('File excluded by pattern: ' + relativePath);
+    // Check exclusions first
+    const excluded = matches(excludePatterns, 'exclude');
+    
+    return {
+        excluded: excluded,
+        included: !excluded && matches(watchPatterns, 'watch')
+    };
+}
+
+/**
+ * Handle local file/folder delete event
+ * Deletes are collected briefly so a folder delete prompts once
+ */
+function handleFileDelete(uri) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    
+    if (!config.get('enabled') || config.get('deleteRemote') === 'never') {
         return;
     }
 
-    // Check inclusions
-    const isIncluded = watchPatterns.some(pattern => {
-        try {
-            return minimatch(pathInWatchFolder, pattern, { dot: true }) ||
-                   minimatch(relativePath, pattern, { dot: true });
-        } catch (e) {
-            log('Invalid watch pattern: ' + pattern);
-            return false;
-        }
-    });
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!workspaceFolder || uri.scheme !== 'file') return;
 
-    if (!isIncluded) {
-        log('File not matching watch patterns: ' + relativePath);
+    // The watcher also reports the old path of a rename (and its children) as deleted
+    const isRenaming = Array.from(renamingPaths).some(oldPath =>
+        uri.fsPath === oldPath || uri.fsPath.startsWith(oldPath + path.sep));
+    if (isRenaming) return;
+
+    // The path no longer exists, so look at what was uploaded from it before forgetting that
+    const uploadedKind = getUploadedKind(workspaceFolder, uri.fsPath);
+
+    moveUploadStates(workspaceFolder, uri.fsPath, null)
+        .catch(e => log('Failed to save upload state', { error: e.message }));
+
+    const relativePath = path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/');
+    const watchFolder = getCredential('watchFolder', workspaceFolder) || 'src';
+    if (!relativePath.startsWith(watchFolder + '/')) {
         return;
     }
 
-    // Debounce the upload
-    debounceUpload(document);
+    // Only folders with uploaded files in them are deleted remotely (recursively);
+    // files are deleted if they were uploaded or match the watch patterns
+    const match = matchUploadPatterns(relativePath, watchFolder);
+    if (match.excluded) return;
+    if (uploadedKind !== 'folder' && uploadedKind !== 'file' && !match.included) return;
+
+    pendingDeletes.set(uri.fsPath, { workspaceFolder, relativePath, isFolder: uploadedKind === 'folder' });
+
+    if (deleteTimer) clearTimeout(deleteTimer);
+    deleteTimer = setTimeout(() => {
+        deleteTimer = null;
+        processPendingDeletes();
+    }, 500);
+}
+
+/**
+ * Confirm and send the collected deletes to NetSuite
+ */
+async function processPendingDeletes() {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const entries = Array.from(pendingDeletes.entries());
+    pendingDeletes.clear();
+
+    // Children of a deleted folder go with the folder
+    const items = entries
+        .filter(([localPath]) => !entries.some(([other, info]) =>
+            info.isFolder && other !== localPath && localPath.startsWith(other + path.sep)))
+        .map(([localPath, info]) => ({
+            ...info,
+            localPath: localPath,
+            netSuitePath: resolveUploadFile(localPath, info.workspaceFolder).netSuitePath
+        }));
+
+    if (items.length === 0) return;
+
+    // Folder deletes remove everything below them remotely, so they are always confirmed
+    const hasFolders = items.some(item => item.isFolder);
+    if (config.get('deleteRemote') !== 'always' || hasFolders) {
+        const names = items.map(item => item.netSuitePath + (item.isFolder ? '/ (folder and everything in it)' : ''));
+        const detail = names.slice(0, 10).join('\n') + (names.length > 10 ? `\n...and ${names.length - 10} more` : '');
+        const choice = await vscode.window.showWarningMessage(
+            `Delete ${items.length === 1 ? names[0] : items.length + ' items'} from the NetSuite File Cabinet too?`,
+            { modal: true, detail: detail },
+            ...(hasFolders ? ['Delete'] : ['Delete', 'Always Delete'])
+        );
+
+        if (choice === 'Always Delete') {
+            await config.update('deleteRemote', 'always', vscode.ConfigurationTarget.Workspace);
+        } else if (choice !== 'Delete') {
+            log(`Kept ${items.length} item(s) in the File Cabinet after local delete`);
+            return;
+        }
+    }
+
+    for (const item of items) {
+        await deleteRemoteFile(item);
+    }
+}
+
+/**
+ * Send a DELETE request for a file or folder and record it
+ */
+async function deleteRemoteFile(item) {
+    const { workspaceFolder, netSuitePath, isFolder } = item;
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return;
+
+    const name = path.basename(netSuitePath);
+    log(`Deleting: ${netSuitePath}${isFolder ? ' (folder)' : ''}`);
+
+    try {
+        const url = buildRestletUrl(restletUrl, { path: netSuitePath, recursive: isFolder ? 'T' : '' });
+        const response = await makeAuthenticatedRequest(url, 'DELETE', null, workspaceFolder);
+
+        if (!response.success) {
+            throw restletError(response, 'Delete failed');
+        }
+
+        log(`Delete successful: ${netSuitePath}`, response);
+        addHistoryEntry(workspaceFolder, {
+            file: name,
+            localPath: item.localPath,
+            netSuitePath: netSuitePath,
+            action: 'delete',
+            fileId: response.fileId,
+            folderId: response.folderId
+        });
+
+        await setFileVersion(workspaceFolder, netSuitePath, null);
+
+        if (vscode.workspace.getConfiguration('netsuite-auto-upload').get('showNotifications')) {
+            vscode.window.showInformationMessage(`✓ Deleted ${netSuitePath}`);
+        }
+    } catch (error) {
+        log(`Delete failed: ${netSuitePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Delete Failed (${name}): ${error.message}`);
+    }
+}
+
+/**
+ * Handle files/folders renamed or moved in the editor
+ * Moves the server copy in place instead of uploading a new file
+ */
+async function handleFileRename(files) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+
+    try {
+        if (!config.get('enabled')) return;
+
+        for (const { oldUri, newUri } of files) {
+            const workspaceFolder = vscode.workspace.getWorkspaceFolder(newUri);
+            if (!workspaceFolder || newUri.scheme !== 'file') continue;
+
+            const watchFolder = getCredential('watchFolder', workspaceFolder) || 'src';
+            const oldRelative = path.relative(workspaceFolder.uri.fsPath, oldUri.fsPath).replace(/\\/g, '/');
+            const newRelative = path.relative(workspaceFolder.uri.fsPath, newUri.fsPath).replace(/\\/g, '/');
+
+            if (!oldRelative.startsWith(watchFolder + '/') || !newRelative.startsWith(watchFolder + '/')) {
+                log(`Rename outside watch folder (${watchFolder}), not moving on server: ${oldRelative} → ${newRelative}`);
+                continue;
+            }
+
+            let isFolder = false;
+            try {
+                isFolder = fs.statSync(newUri.fsPath).isDirectory();
+            } catch (e) {
+                continue;
+            }
+
+            if (!isFolder && !matchUploadPatterns(newRelative, watchFolder).included) {
+                continue;
+            }
+
+            await moveRemoteFile({
+                workspaceFolder: workspaceFolder,
+                localPath: newUri.fsPath,
+                oldNetSuitePath: resolveUploadFile(oldUri.fsPath, workspaceFolder).netSuitePath,
+                newNetSuitePath: resolveUploadFile(newUri.fsPath, workspaceFolder).netSuitePath,
+                isFolder: isFolder
+            });
+            await moveUploadStates(workspaceFolder, oldUri.fsPath, newUri.fsPath);
+        }
+    } finally {
+        // Late watcher delete events for the old paths are still ignored for a moment
+        setTimeout(() => files.forEach(f => renamingPaths.delete(f.oldUri.fsPath)), 2000);
+    }
+}
+
+/**
+ * Send a move request for a file or folder and record it
+ */
+async function moveRemoteFile(item) {
+    const { workspaceFolder, oldNetSuitePath, newNetSuitePath, isFolder } = item;
+    if (oldNetSuitePath === newNetSuitePath) return;
+
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return;
+
+    log(`Moving: ${oldNetSuitePath} → ${newNetSuitePath}${isFolder ? ' (folder)' : ''}`);
+
+    try {
+        const response = await makeAuthenticatedRequest(restletUrl, 'POST', {
+            action: 'move',
+            path: oldNetSuitePath,
+            newPath: newNetSuitePath
+        }, workspaceFolder);
+
+        if (!response.success) {
+            throw restletError(response, 'Move failed');
+        }
+
+        log(`Move successful: ${newNetSuitePath}`, response);
+        addHistoryEntry(workspaceFolder, {
+            file: path.basename(newNetSuitePath),
+            localPath: item.localPath,
+            netSuitePath: newNetSuitePath,
+            previousPath: oldNetSuitePath,
+            action: 'move',
+            fileId: response.fileId,
+            folderId: response.folderId
+        });
+
+        if (!isFolder) {
+            const version = getFileVersion(workspaceFolder, oldNetSuitePath);
+            await setFileVersion(workspaceFolder, oldNetSuitePath, null);
+            await setFileVersion(workspaceFolder, newNetSuitePath, version);
+        }
+
+        if (vscode.workspace.getConfiguration('netsuite-auto-upload').get('showNotifications')) {
+            vscode.window.showInformationMessage(`✓ ${oldNetSuitePath} → ${newNetSuitePath}`);
+        }
+    } catch (error) {
+        if (error.code === 'FILE_NOT_FOUND') {
+            // Never uploaded - the next save creates it at the new path
+            log(`Not in File Cabinet, nothing to move: ${oldNetSuitePath}`);
+            return;
+        }
+        log(`Move failed: ${oldNetSuitePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Move Failed: ${error.message}`);
+    }
 }
 
 /**
  * Debounce file upload to avoid rapid consecutive uploads
+ * Saves within the debounce window are combined into one batch request
  */
 function debounceUpload(document) {
     const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
     const delay = config.get('debounceDelay') || 1000;
-    const filePath = document.fileName;
 
-    // Clear existing timer for this file
-    if (debounceTimers.has(filePath)) {
-        clearTimeout(debounceTimers.get(filePath));
+    pendingUploads.set(document.fileName, document);
+
+    // Restart the window on every save
+    if (uploadTimer) {
+        clearTimeout(uploadTimer);
     }
 
-    // Set new timer
-    const timer = setTimeout(() => {
-        uploadFile(document);
-        debounceTimers.delete(filePath);
+    uploadTimer = setTimeout(() => {
+        uploadTimer = null;
+        flushPendingUploads();
     }, delay);
+}
 
-    debounceTimers.set(filePath, timer);
+/**
+ * Upload everything saved within the debounce window
+ * A single file goes through uploadFile, several through one batch request per workspace folder
+ */
+function flushPendingUploads() {
+    const documents = Array.from(pendingUploads.values());
+    pendingUploads.clear();
+
+    const byWorkspace = new Map();
+    for (const document of documents) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        if (!workspaceFolder) continue;
+
+        const key = workspaceFolder.uri.toString();
+        if (!byWorkspace.has(key)) {
+            byWorkspace.set(key, { workspaceFolder, documents: [] });
+        }
+        byWorkspace.get(key).documents.push(document);
+    }
+
+    for (const group of byWorkspace.values()) {
+        if (group.documents.length === 1) {
+            uploadFile(group.documents[0]);
+        } else {
+            uploadBatch(group.documents, group.workspaceFolder);
+        }
+    }
 }
 
 /**
  * Upload file to NetSuite
+ * 
+ * Options:
+ *   force - overwrite even if the file changed in NetSuite since our last upload/download
  */
-async function uploadFile(document) {
+async function uploadFile(document, options = {}) {
     const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
-    const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+    // Accept a TextDocument or a file Uri (history re-upload)
+    const fileUri = document instanceof vscode.Uri ? document : document.uri;
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri);
     
     // Get RESTlet URL from .env or settings
-    const restletUrl = getCredential('restletUrl', workspaceFolder);
-
-    if (!restletUrl) {
-        vscode.window.showErrorMessage(
-            'NetSuite Auto Upload: RESTlet URL not configured. Add NS_RESTLET_URL to .env file.',
-            'Create .env Template'
-        ).then(selection => {
-            if (selection === 'Create .env Template') {
-                createEnvTemplate(workspaceFolder);
-            }
-        });
-        return;
-    }
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return;
 
-    const savedFilePath = document.fileName;
+    const savedFilePath = fileUri.fsPath;
     
     if (!workspaceFolder) {
-        log('File not in workspace, skipping upload');
+        log('File not in workspace, skipping upload', null, workspaceFolder);
         return;
     }
     
@@ -586,7 +1594,7 @@ async function uploadFile(document) {
         const waitForBuild = config.get('waitForBuild') || 500;
         
         if (waitForBuild > 0) {
-            log(`Waiting ${waitForBuild}ms for build...`);
+            log(`Waiting ${waitForBuild}ms for build...`, null, workspaceFolder);
             await new Promise(resolve => setTimeout(resolve, waitForBuild));
         }
         
@@ -605,579 +1613,3206 @@ async function uploadFile(document) {
     }
 
     // Update status bar
-    updateStatusBar('uploading', fileName);
+    updateStatusBar('uploading', fileName, workspaceFolder);
     const mappedNote = uploadInfo.isMapped ? ` (from ${config.get('uploadFrom')})` : '';
     log(`Uploading: ${fileName}${mappedNote}`, { 
         savedFile: savedFilePath,
         uploadFile: uploadInfo.uploadPath,
         netSuitePath: uploadInfo.netSuitePath,
         isMapped: uploadInfo.isMapped
-    });
+    }, workspaceFolder);
 
     try {
-        // Read file content from the resolved upload path
-        const content = fs.readFileSync(uploadInfo.uploadPath, 'utf8');
-
-        // Prepare payload
-        const payload = {
-            path: uploadInfo.netSuitePath,
-            content: content,
-            encoding: 'utf8',
-            description: `Uploaded via Auto-Upload from ${uploadInfo.relativePath}`
-        };
-
-        // Make authenticated request
-        const response = await makeAuthenticatedRequest(restletUrl, 'POST', payload, workspaceFolder);
+        const response = await uploadResolvedFile(restletUrl, uploadInfo, workspaceFolder, options);
 
-        if (response.success) {
-            // Success
-            updateStatusBar('success', fileName);
-            log(`Upload successful: ${fileName}`, response);
-            
-            // Track in history
-            uploadHistory.unshift({
-                file: fileName,
-                localPath: uploadInfo.uploadPath,
-                netSuitePath: uploadInfo.netSuitePath,
-                time: new Date().toISOString(),
-                action: response.action,
-                fileId: response.fileId
-            });
-            if (uploadHistory.length > 50) uploadHistory.pop();
+        // Success
+        updateStatusBar('success', fileName, workspaceFolder);
+        log(`Upload successful: ${fileName}`, response, workspaceFolder);
             
-            // Show notification
-            if (config.get('showNotifications')) {
-                vscode.window.showInformationMessage(
-                    `✓ ${fileName} → ${uploadInfo.netSuitePath}`
-                );
+        // Show notification
+        if (config.get('showNotifications')) {
+            vscode.window.showInformationMessage(
+                `✓ ${fileName} → ${uploadInfo.netSuitePath}`
+            );
+        }
+
+        // Reset status bar after 3 seconds
+        setTimeout(() => {
+            if (uploadStatusBar.text.includes('Uploaded')) {
+                updateStatusBar('ready', '', workspaceFolder);
             }
+        }, 3000);
 
-            // Reset status bar after 3 seconds
-            setTimeout(() => {
-                if (uploadStatusBar.text.includes('Uploaded')) {
-                    updateStatusBar('ready');
-                }
-            }, 3000);
+    } catch (error) {
+        updateStatusBar('error', error.message, workspaceFolder);
+        log(`Upload failed: ${fileName}`, { error: error.message, stack: error.stack }, workspaceFolder);
+        recordUploadFailure(uploadInfo, workspaceFolder, error);
 
+        if (error.code === 'CONFLICT') {
+            handleUploadConflict(document, uploadInfo, error.response);
+        } else if (error.transient) {
+            await enqueueUpload(uploadInfo, workspaceFolder, error);
+            vscode.window.showWarningMessage(
+                `NetSuite unreachable (${error.message}). ${fileName} was queued and will be retried.`,
+                'Retry Now',
+                'Show Logs'
+            ).then(selection => {
+                if (selection === 'Retry Now') {
+                    flushUploadQueue();
+                } else if (selection === 'Show Logs') {
+                    outputChannel.show();
+                }
+            });
+        } else if (error.code === 'VALIDATION_FAILED') {
+            vscode.window.showErrorMessage(`NetSuite Upload Blocked: ${error.message}`, 'Show Problems').then(selection => {
+                if (selection === 'Show Problems') {
+                    vscode.commands.executeCommand('workbench.actions.view.problems');
+                }
+            });
         } else {
-            throw new Error(response.message || response.error || 'Upload failed');
+            vscode.window.showErrorMessage(
+                `NetSuite Upload Failed: ${error.message}`,
+                'Retry',
+                'Configure',
+                'Show Logs'
+            ).then(selection => {
+                if (selection === 'Retry') {
+                    uploadFile(document);
+                } else if (selection === 'Configure') {
+                    configure();
+                } else if (selection === 'Show Logs') {
+                    outputChannel.show();
+                }
+            });
         }
 
-    } catch (error) {
-        updateStatusBar('error', error.message);
-        log(`Upload failed: ${fileName}`, { error: error.message, stack: error.stack });
-
-        vscode.window.showErrorMessage(
-            `NetSuite Upload Failed: ${error.message}`,
-            'Retry',
-            'Configure',
-            'Show Logs'
-        ).then(selection => {
-            if (selection === 'Retry') {
-                uploadFile(document);
-            } else if (selection === 'Configure') {
-                configure();
-            } else if (selection === 'Show Logs') {
-                outputChannel.show();
-            }
-        });
-
         // Reset status bar after 5 seconds
         setTimeout(() => {
             if (uploadStatusBar.text.includes('Failed')) {
-                updateStatusBar('ready');
+                updateStatusBar('ready', '', workspaceFolder);
             }
         }, 5000);
     }
 }
 
 /**
- * Make authenticated request to NetSuite RESTlet
+ * Upload several saved files in one RESTlet batch request
+ * Files the RESTlet did not get to (governance) are sent again automatically
  */
-async function makeAuthenticatedRequest(url, method = 'POST', payload = null, workspaceFolder = null) {
+async function uploadBatch(documents, workspaceFolder) {
     const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
-    const timeout = config.get('requestTimeout') || 30000;
-    
-    // Get OAuth credentials from .env or VS Code settings
-    const consumerKey = getCredential('oauth.consumerKey', workspaceFolder);
-    const consumerSecret = getCredential('oauth.consumerSecret', workspaceFolder);
-    const tokenId = getCredential('oauth.tokenId', workspaceFolder);
-    const tokenSecret = getCredential('oauth.tokenSecret', workspaceFolder);
-    const accountId = getCredential('accountId', workspaceFolder);
-    
-    if (!consumerKey || !consumerSecret || !tokenId || !tokenSecret || !accountId) {
-        throw new Error('OAuth credentials not configured. Add them to .env file or run Configure command.');
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return;
+
+    const entries = documents.map(document => ({
+        document: document,
+        uploadInfo: resolveUploadFile(document.fileName, workspaceFolder)
+    }));
+
+    // Wait for the build once for the whole batch
+    const waitForBuild = config.get('waitForBuild') || 500;
+    if (entries.some(entry => entry.uploadInfo.isMapped) && waitForBuild > 0) {
+        log(`Waiting ${waitForBuild}ms for build...`, null, workspaceFolder);
+        await new Promise(resolve => setTimeout(resolve, waitForBuild));
     }
-    
-    const oauth = OAuth({
-        consumer: {
-            key: consumerKey,
-            secret: consumerSecret
-        },
-        signature_method: 'HMAC-SHA256',
-        hash_function(base_string, key) {
-            return crypto.HmacSHA256(base_string, key).toString(crypto.enc.Base64);
+
+    const failed = [];
+    let pending = [];
+    for (const entry of entries) {
+        if (!fs.existsSync(entry.uploadInfo.uploadPath)) {
+            failed.push({ entry, error: new Error(`File not found: ${entry.uploadInfo.relativePath}. Run your build or change 'uploadFrom' setting.`) });
+            continue;
         }
-    });
+        try {
+            const payload = await compressPayload(buildUploadPayload(entry.uploadInfo, workspaceFolder), workspaceFolder);
+            pending.push({ ...entry, payload: payload });
+        } catch (error) {
+            failed.push({ entry, error });
+        }
+    }
 
-    const token = {
-        key: tokenId,
-        secret: tokenSecret
-    };
+    // Files that need chunking don't fit in a batch request, send them on their own
+    let uploaded = 0;
+    const single = [];
+    for (const item of pending) {
+        if (await needsChunking(item.payload, workspaceFolder)) single.push(item);
+    }
+    for (const item of single) {
+        try {
+            await uploadResolvedFile(restletUrl, item.uploadInfo, workspaceFolder);
+            log(`Upload successful: ${path.basename(item.uploadInfo.uploadPath)}`, null, workspaceFolder);
+            uploaded++;
+        } catch (error) {
+            failed.push({ entry: item, error });
+        }
+    }
+    pending = pending.filter(item => !single.includes(item));
 
-    const requestData = {
-        url: url,
-        method: method
-    };
+    updateStatusBar('uploading', `${pending.length} files`, workspaceFolder);
+    log(`Batch upload: ${pending.length} file(s)`, { files: pending.map(item => item.uploadInfo.netSuitePath) }, workspaceFolder);
 
-    const oauthHeader = oauth.toHeader(oauth.authorize(requestData, token));
-    
-    // NetSuite requires realm in the Authorization header, not as separate header
-    const authHeader = oauthHeader.Authorization.replace(
-        'OAuth ',
-        `OAuth realm="${accountId}",`
-    );
+    // Each request carries at most as much content as one chunk of a chunked upload
+    const chunkSize = config.get('chunkSize') || 2 * 1024 * 1024;
+    const batchBytes = Math.ceil(chunkSize / 3) * 4;
 
-    const urlParsed = new URL(url);
+    try {
+        while (pending.length > 0) {
+            const batch = takeUploadBatch(pending, batchBytes);
+            const response = await makeAuthenticatedRequest(restletUrl, 'POST', {
+                files: batch.map(item => item.payload)
+            }, workspaceFolder);
 
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: urlParsed.hostname,
-            port: urlParsed.port || 443,
-            path: urlParsed.pathname + urlParsed.search,
-            method: method,
-            headers: {
-                'Authorization': authHeader,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            timeout: timeout
-        };
+            // Older RESTlets don't know batches - upload one by one instead
+            if (!response.batch) {
+                log('RESTlet does not support batch uploads, uploading files one by one', null, workspaceFolder);
+                for (const item of pending) {
+                    await uploadFile(item.document);
+                }
+                pending = [];
+                break;
+            }
 
-        log('Making request', { 
-            url: url, 
-            method: method,
-            hostname: options.hostname 
-        });
+            const results = response.results || [];
+            for (let i = 0; i < results.length; i++) {
+                const item = batch[i];
+                const result = results[i];
 
-        const req = https.request(options, res => {
-            let data = '';
+                if (result.success) {
+                    log(`Upload successful: ${path.basename(item.uploadInfo.uploadPath)}`, result, workspaceFolder);
+                    await recordUploadSuccess(item.uploadInfo, workspaceFolder, result);
+                    uploaded++;
+                } else {
+                    failed.push({ entry: item, error: restletError(result, 'Upload failed') });
+                }
+            }
 
-            res.on('data', chunk => {
-                data += chunk;
-            });
+            if (results.length === 0) {
+                throw new Error('RESTlet processed no files (governance limit too low?)');
+            }
 
-            res.on('end', () => {
-                log('Response received', { 
-                    statusCode: res.statusCode, 
-                    dataLength: data.length 
-                });
-                
-                try {
-                    // Handle empty response
-                    if (!data) {
-                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                            resolve({ success: true, message: 'Request completed' });
-                        } else {
-                            reject(new Error(`HTTP ${res.statusCode}: Empty response`));
-                        }
-                        return;
-                    }
-                    
-                    const response = JSON.parse(data);
-                    
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(response);
-                    } else {
-                        reject(new Error(response.message || response.error?.message || `HTTP ${res.statusCode}`));
-                    }
-                } catch (e) {
-                    log('Parse error', { raw: data.substring(0, 500) });
-                    reject(new Error(`Invalid response: ${data.substring(0, 100)}`));
-                }
-            });
-        });
+            pending = pending.slice(results.length);
+            if (results.length < batch.length) {
+                log(`RESTlet stopped early, sending remaining ${batch.length - results.length} file(s) again`, { remaining: response.remaining }, workspaceFolder);
+            }
+        }
+    } catch (error) {
+        log('Batch upload failed', { error: error.message }, workspaceFolder);
+        pending.forEach(item => failed.push({ entry: item, error }));
+    }
 
-        req.on('error', error => {
-            log('Request error', { error: error.message });
-            reject(new Error(`Network error: ${error.message}`));
+    if (failed.length === 0) {
+        updateStatusBar('success', `${uploaded} files`, workspaceFolder);
+        if (config.get('showNotifications') && uploaded > 0) {
+            vscode.window.showInformationMessage(`✓ ${uploaded} files uploaded to NetSuite`);
+        }
+        setTimeout(() => {
+            if (uploadStatusBar.text.includes('Uploaded')) {
+                updateStatusBar('ready', '', workspaceFolder);
+            }
+        }, 3000);
+        return;
+    }
+
+    updateStatusBar('error', `${failed.length} of ${entries.length} files failed`, workspaceFolder);
+    failed.forEach(({ entry, error }) => {
+        log(`Upload failed: ${path.basename(entry.uploadInfo.uploadPath)}`, { error: error.message }, workspaceFolder);
+        recordUploadFailure(entry.uploadInfo, workspaceFolder, error);
+    });
+
+    // Conflicts need a decision per file
+    failed
+        .filter(({ error }) => error.code === 'CONFLICT')
+        .forEach(({ entry, error }) => handleUploadConflict(entry.document, entry.uploadInfo, error.response));
+
+    // Network problems go to the retry queue
+    const transientFailures = failed.filter(({ error }) => error.transient);
+    for (const { entry, error } of transientFailures) {
+        await enqueueUpload(entry.uploadInfo, workspaceFolder, error);
+    }
+    if (transientFailures.length > 0) {
+        vscode.window.showWarningMessage(
+            `NetSuite unreachable. ${transientFailures.length} file(s) queued and will be retried.`,
+            'Retry Now'
+        ).then(selection => {
+            if (selection === 'Retry Now') flushUploadQueue();
         });
+    }
 
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error(`Request timeout after ${timeout}ms`));
+    const otherFailures = failed.filter(({ error }) => error.code !== 'CONFLICT' && !error.transient);
+    if (otherFailures.length > 0) {
+        vscode.window.showErrorMessage(
+            `NetSuite Upload Failed: ${otherFailures.length} file(s) - ${otherFailures[0].error.message}`,
+            'Retry',
+            'Show Logs'
+        ).then(selection => {
+            if (selection === 'Retry') {
+                const retryDocuments = otherFailures.map(({ entry }) => entry.document);
+                if (retryDocuments.length === 1) {
+                    uploadFile(retryDocuments[0]);
+                } else {
+                    uploadBatch(retryDocuments, workspaceFolder);
+                }
+            } else if (selection === 'Show Logs') {
+                outputChannel.show();
+            }
         });
+    }
 
-        if (payload) {
-            const body = JSON.stringify(payload);
-            req.setHeader('Content-Length', Buffer.byteLength(body));
-            req.write(body);
+    setTimeout(() => {
+        if (uploadStatusBar.text.includes('Failed')) {
+            updateStatusBar('ready', '', workspaceFolder);
         }
-        
-        req.end();
-    });
+    }, 5000);
 }
 
 /**
- * Command: Configure extension
+ * Optional features the RESTlet advertises in its GET status response (e.g. 'chunked')
+ * Cached per RESTlet URL; older deployments advertise none
  */
-async function configure() {
-    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+async function getRestletFeatures(workspaceFolder) {
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+    if (restletFeatures.has(restletUrl)) {
+        return restletFeatures.get(restletUrl);
+    }
 
     try {
-        // Guide user through configuration
-        const restletUrl = await vscode.window.showInputBox({
-            prompt: 'Enter NetSuite RESTlet External URL',
-            value: config.get('restletUrl') || '',
-            placeHolder: 'https://1234567.restlets.api.netsuite.com/app/site/hosting/restlet.nl?script=123&deploy=1',
-            validateInput: (value) => {
-                if (!value) return 'URL is required';
-                if (!value.startsWith('https://')) return 'URL must start with https://';
-                if (!value.includes('restlet')) return 'URL should be a RESTlet URL';
-                return null;
-            }
-        });
+        const response = await makeAuthenticatedRequest(restletUrl, 'GET', null, workspaceFolder);
+        const features = response.features || [];
+        restletFeatures.set(restletUrl, features);
+        log('RESTlet features', { features: features }, workspaceFolder);
+        return features;
+    } catch (error) {
+        log('Could not read RESTlet features', { error: error.message }, workspaceFolder);
+        return [];
+    }
+}
 
-        if (restletUrl === undefined) return; // User cancelled
+/**
+ * How a payload's content string is encoded (compressed content is always base64)
+ */
+function getPayloadEncoding(payload) {
+    return payload.encoding === 'base64' || payload.compression ? 'base64' : 'utf8';
+}
 
-        const accountId = await vscode.window.showInputBox({
-            prompt: 'Enter NetSuite Account ID (from URL or Setup > Company)',
-            value: config.get('accountId') || '',
-            placeHolder: '1234567 or 1234567_SB1 for sandbox',
-            validateInput: (value) => {
-                if (!value) return 'Account ID is required';
-                return null;
-            }
-        });
+/**
+ * Leading upload items that fit in one batch request: up to BATCH_MAX_FILES files and maxBytes
+ * of content as sent (encoded and compressed). The first item is always taken, whatever its size.
+ */
+function takeUploadBatch(items, maxBytes) {
+    let bytes = 0;
+    let count = 0;
+    while (count < items.length && count < BATCH_MAX_FILES) {
+        bytes += Buffer.byteLength(items[count].payload.content);
+        if (count > 0 && bytes > maxBytes) break;
+        count++;
+    }
+    return items.slice(0, count);
+}
 
-        if (accountId === undefined) return;
+/**
+ * Size of an upload payload's content in bytes as sent (compressed size for gzip payloads)
+ */
+function getPayloadSize(payload) {
+    return Buffer.byteLength(payload.content, getPayloadEncoding(payload));
+}
 
-        const consumerKey = await vscode.window.showInputBox({
-            prompt: 'Enter OAuth Consumer Key (from Integration record)',
-            value: config.get('oauth.consumerKey') || '',
-            password: true,
-            validateInput: (value) => {
-                if (!value) return 'Consumer Key is required';
-                return null;
-            }
-        });
+/**
+ * Gzip the content of payloads over compressionThreshold if the RESTlet supports it
+ * Sent as base64 with compression: 'gzip'; encoding still says how the file is stored.
+ * Content that doesn't shrink (images, archives) is sent as is.
+ */
+async function compressPayload(payload, workspaceFolder) {
+    const threshold = vscode.workspace.getConfiguration('netsuite-auto-upload').get('compressionThreshold');
+    const size = getPayloadSize(payload);
+    if (!threshold || size < threshold) return payload;
 
-        if (consumerKey === undefined) return;
+    const features = await getRestletFeatures(workspaceFolder);
+    if (!features.includes('gzip')) return payload;
 
-        const consumerSecret = await vscode.window.showInputBox({
-            prompt: 'Enter OAuth Consumer Secret',
-            value: config.get('oauth.consumerSecret') || '',
-            password: true,
-            validateInput: (value) => {
-                if (!value) return 'Consumer Secret is required';
-                return null;
-            }
-        });
+    const compressed = zlib.gzipSync(Buffer.from(payload.content, getPayloadEncoding(payload)));
+    if (compressed.length > size * 0.9) return payload;
 
-        if (consumerSecret === undefined) return;
+    log(`Compressed ${path.basename(payload.path)}: ${size} → ${compressed.length} bytes`, null, workspaceFolder);
+    return { ...payload, content: compressed.toString('base64'), compression: 'gzip' };
+}
 
-        const tokenId = await vscode.window.showInputBox({
-            prompt: 'Enter OAuth Token ID (from Access Token)',
-            value: config.get('oauth.tokenId') || '',
-            password: true,
-            validateInput: (value) => {
-                if (!value) return 'Token ID is required';
-                return null;
-            }
-        });
+/**
+ * Whether a payload is over chunkSize and the RESTlet supports chunked uploads
+ */
+async function needsChunking(payload, workspaceFolder) {
+    const chunkSize = vscode.workspace.getConfiguration('netsuite-auto-upload').get('chunkSize') || 2 * 1024 * 1024;
+    if (getPayloadSize(payload) <= chunkSize) return false;
 
-        if (tokenId === undefined) return;
+    const features = await getRestletFeatures(workspaceFolder);
+    if (!features.includes('chunked')) {
+        log(`${payload.path} is over ${chunkSize} bytes but the RESTlet does not support chunked uploads. Redeploy it to upload large files.`, null, workspaceFolder);
+        return false;
+    }
+    return true;
+}
 
-        const tokenSecret = await vscode.window.showInputBox({
-            prompt: 'Enter OAuth Token Secret',
-            value: config.get('oauth.tokenSecret') || '',
-            password: true,
-            validateInput: (value) => {
-                if (!value) return 'Token Secret is required';
-                return null;
-            }
-        });
+/**
+ * Upload a payload in numbered parts sharing a session ID
+ * Parts are cut on 3-byte boundaries so their base64 strings join into the file's base64;
+ * the RESTlet assembles the file when the last part arrives and returns the normal upload response.
+ */
+async function uploadChunked(restletUrl, payload, workspaceFolder) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const chunkSize = config.get('chunkSize') || 2 * 1024 * 1024;
+    const step = chunkSize - (chunkSize % 3);
 
-        if (tokenSecret === undefined) return;
+    const buffer = Buffer.from(payload.content, getPayloadEncoding(payload));
+    const chunkCount = Math.ceil(buffer.length / step);
+    const sessionId = nodeCrypto.randomBytes(12).toString('hex');
+    const fileName = path.basename(payload.path);
 
-        // Optional: Root path configuration
-        const rootPath = await vscode.window.showInputBox({
-            prompt: 'Enter NetSuite root path for uploads (press Enter for default)',
-            value: config.get('rootPath') || '/SuiteScripts',
-            placeHolder: '/SuiteScripts'
-        });
+    log(`Chunked upload: ${payload.path} (${buffer.length} bytes in ${chunkCount} parts)`, { sessionId: sessionId }, workspaceFolder);
 
-        // Save configuration
-        const target = vscode.ConfigurationTarget.Workspace;
-        
-        await config.update('restletUrl', restletUrl, target);
-        await config.update('accountId', accountId, target);
-        await config.update('oauth.consumerKey', consumerKey, target);
-        await config.update('oauth.consumerSecret', consumerSecret, target);
-        await config.update('oauth.tokenId', tokenId, target);
-        await config.update('oauth.tokenSecret', tokenSecret, target);
-        if (rootPath) {
-            await config.update('rootPath', rootPath, target);
+    let response;
+    for (let i = 0; i < chunkCount; i++) {
+        updateStatusBar('uploading', `${fileName} ${i + 1}/${chunkCount}`, workspaceFolder);
+
+        response = await makeAuthenticatedRequest(restletUrl, 'POST', {
+            action: 'chunk',
+            sessionId: sessionId,
+            path: payload.path,
+            chunkIndex: i,
+            chunkCount: chunkCount,
+            content: buffer.subarray(i * step, (i + 1) * step).toString('base64'),
+            encoding: payload.encoding,
+            compression: payload.compression,
+            size: buffer.length,
+            description: payload.description,
+            expectedVersion: payload.expectedVersion
+        }, workspaceFolder);
+
+        if (!response.success) {
+            return response;
         }
+    }
 
-        log('Configuration saved successfully');
+    return response;
+}
 
-        const selection = await vscode.window.showInformationMessage(
-            'NetSuite Auto Upload configured successfully!',
-            'Test Connection',
-            'Done'
-        );
-        
-        if (selection === 'Test Connection') {
-            await testConnection();
+/**
+ * Upload a resolved file and record the result
+ * Returns the RESTlet response, throws on failure
+ */
+async function uploadResolvedFile(restletUrl, uploadInfo, workspaceFolder, options = {}) {
+    const payload = await compressPayload(buildUploadPayload(uploadInfo, workspaceFolder, options), workspaceFolder);
+
+    // Make authenticated request (in parts if the file is large)
+    const response = await needsChunking(payload, workspaceFolder)
+        ? await uploadChunked(restletUrl, payload, workspaceFolder)
+        : await makeAuthenticatedRequest(restletUrl, 'POST', payload, workspaceFolder);
+
+    if (!response.success) {
+        throw restletError(response, 'Upload failed');
+    }
+
+    await recordUploadSuccess(uploadInfo, workspaceFolder, response);
+    return response;
+}
+
+/**
+ * Get the persistent upload queue (upload path → entry)
+ */
+function getUploadQueue() {
+    if (!extensionContext) return {};
+    return extensionContext.workspaceState.get('netsuite-auto-upload.uploadQueue') || {};
+}
+
+async function saveUploadQueue(queue) {
+    await extensionContext.workspaceState.update('netsuite-auto-upload.uploadQueue', queue);
+    updateStatusBar(uploadStatusState);
+}
+
+/**
+ * Queue a failed upload for retry
+ * One entry per file - the content is read again at retry time, so the latest save wins
+ */
+async function enqueueUpload(uploadInfo, workspaceFolder, error) {
+    const queue = getUploadQueue();
+    const existing = queue[uploadInfo.uploadPath];
+    const attempts = existing ? existing.attempts + 1 : 1;
+
+    queue[uploadInfo.uploadPath] = {
+        savedFilePath: uploadInfo.originalPath || uploadInfo.uploadPath,
+        netSuitePath: uploadInfo.netSuitePath,
+        workspaceFolder: workspaceFolder.uri.toString(),
+        attempts: attempts,
+        nextAttempt: Date.now() + getRetryDelay(attempts),
+        lastError: error.message,
+        queuedAt: existing ? existing.queuedAt : new Date().toISOString()
+    };
+
+    log(`Queued for retry: ${uploadInfo.netSuitePath}`, { attempts: attempts, error: error.message }, workspaceFolder);
+    await saveUploadQueue(queue);
+    scheduleQueueRetry();
+}
+
+/**
+ * Drop a file from the queue (uploaded successfully or no longer relevant)
+ */
+async function removeFromQueue(uploadPath) {
+    const queue = getUploadQueue();
+    if (!queue[uploadPath]) return;
+
+    delete queue[uploadPath];
+    await saveUploadQueue(queue);
+}
+
+/**
+ * Exponential backoff: 5s, 10s, 20s, ... capped at 5 minutes
+ */
+function getRetryDelay(attempts) {
+    return Math.min(QUEUE_RETRY_BASE_MS * Math.pow(2, attempts - 1), QUEUE_RETRY_MAX_MS);
+}
+
+/**
+ * Set the retry timer for the earliest due queue entry
+ */
+function scheduleQueueRetry() {
+    if (queueTimer) {
+        clearTimeout(queueTimer);
+        queueTimer = null;
+    }
+
+    const entries = Object.values(getUploadQueue());
+    if (entries.length === 0) return;
+
+    const nextAttempt = Math.min(...entries.map(entry => entry.nextAttempt));
+    queueTimer = setTimeout(() => {
+        queueTimer = null;
+        processUploadQueue(false).catch(error => log('Upload queue retry failed', { error: error.message }));
+    }, Math.max(nextAttempt - Date.now(), 0));
+}
+
+/**
+ * Retry queued uploads
+ * With force=true every entry is retried now, otherwise only the ones that are due
+ */
+async function processUploadQueue(force) {
+    if (queueRunning) return;
+    queueRunning = true;
+
+    let uploaded = 0;
+    try {
+        const queue = getUploadQueue();
+        const now = Date.now();
+
+        for (const [uploadPath, entry] of Object.entries(queue)) {
+            if (!force && entry.nextAttempt > now) continue;
+
+            const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(entry.workspaceFolder));
+            if (!workspaceFolder || !fs.existsSync(entry.savedFilePath)) {
+                log(`Dropped from queue (file or workspace gone): ${entry.netSuitePath}`, null, workspaceFolder);
+                await removeFromQueue(uploadPath);
+                continue;
+            }
+
+            const restletUrl = getCredential('restletUrl', workspaceFolder);
+            if (!restletUrl) continue;
+
+            const uploadInfo = resolveUploadFile(entry.savedFilePath, workspaceFolder);
+
+            try {
+                log(`Retrying queued upload (attempt ${entry.attempts + 1}): ${uploadInfo.netSuitePath}`, null, workspaceFolder);
+                await uploadResolvedFile(restletUrl, uploadInfo, workspaceFolder);
+                log(`Upload successful: ${path.basename(uploadInfo.uploadPath)} (from queue)`, null, workspaceFolder);
+                uploaded++;
+            } catch (error) {
+                recordUploadFailure(uploadInfo, workspaceFolder, error);
+
+                if (error.transient) {
+                    await enqueueUpload(uploadInfo, workspaceFolder, error);
+                    continue;
+                }
+
+                // Not a connectivity problem - retrying won't help
+                log(`Queued upload failed: ${uploadInfo.netSuitePath}`, { error: error.message }, workspaceFolder);
+                await removeFromQueue(uploadPath);
+
+                if (error.code === 'CONFLICT') {
+                    handleUploadConflict(vscode.Uri.file(entry.savedFilePath), uploadInfo, error.response);
+                } else {
+                    vscode.window.showErrorMessage(`NetSuite Upload Failed: ${path.basename(uploadInfo.uploadPath)} - ${error.message}`);
+                }
+            }
         }
-        
+    } finally {
+        queueRunning = false;
+        scheduleQueueRetry();
+    }
+
+    if (uploaded > 0) {
+        const remaining = Object.keys(getUploadQueue()).length;
+        vscode.window.showInformationMessage(
+            `✓ ${uploaded} queued file(s) uploaded to NetSuite${remaining > 0 ? `, ${remaining} still queued` : ''}`
+        );
+    }
+}
+
+/**
+ * Command: Retry all queued uploads now
+ */
+async function flushUploadQueue() {
+    const count = Object.keys(getUploadQueue()).length;
+    if (count === 0) {
+        vscode.window.showInformationMessage('NetSuite upload queue is empty');
+        return;
+    }
+
+    log(`Flushing upload queue (${count} file(s))`);
+    await processUploadQueue(true);
+}
+
+/**
+ * Command: Discard all queued uploads
+ */
+async function clearUploadQueue() {
+    const queue = getUploadQueue();
+    const count = Object.keys(queue).length;
+    if (count === 0) {
+        vscode.window.showInformationMessage('NetSuite upload queue is empty');
+        return;
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+        `Discard ${count} queued upload(s)? The files stay unchanged locally.`,
+        { modal: true, detail: Object.values(queue).map(entry => entry.netSuitePath).join('\n') },
+        'Clear Queue'
+    );
+    if (choice !== 'Clear Queue') return;
+
+    await saveUploadQueue({});
+    scheduleQueueRetry();
+    log(`Upload queue cleared (${count} file(s))`);
+}
+
+/**
+ * Validation mode for an upload file from the 'validation' setting (first matching pattern wins)
+ * Returns 'block', 'warn' or 'off'
+ */
+function getValidationMode(uploadInfo, workspaceFolder) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const rules = config.get('validation') || {};
+    const uploadFrom = getCredential('uploadFrom', workspaceFolder) || 'dist';
+
+    const relativePath = uploadInfo.relativePath;
+    const pathInFolder = relativePath.startsWith(uploadFrom + '/')
+        ? relativePath.substring(uploadFrom.length + 1)
+        : relativePath;
+
+    for (const [pattern, mode] of Object.entries(rules)) {
+        try {
+            if (minimatch(pathInFolder, pattern, { dot: true }) || minimatch(relativePath, pattern, { dot: true })) {
+                return mode;
+            }
+        } catch (e) {
+            log(`Invalid validation pattern: ${pattern}`);
+        }
+    }
+
+    return 'off';
+}
+
+/**
+ * Validate a JS file before upload and publish the problems as diagnostics
+ * Throws a VALIDATION_FAILED error when the mode is 'block' and there are errors
+ */
+function validateUpload(uploadInfo, workspaceFolder, fileData) {
+    const uri = vscode.Uri.file(uploadInfo.uploadPath);
+    const isScript = path.extname(uploadInfo.uploadPath).toLowerCase() === '.js' && fileData.encoding === 'utf8';
+    const mode = isScript ? getValidationMode(uploadInfo, workspaceFolder) : 'off';
+
+    if (mode === 'off') {
+        diagnostics.delete(uri);
+        return;
+    }
+
+    const problems = validateSuiteScript(fileData.content, uploadInfo.uploadPath);
+    diagnostics.set(uri, problems.map(problem => {
+        const diagnostic = new vscode.Diagnostic(
+            new vscode.Range(problem.line, problem.column, problem.line, problem.column + (problem.length || 0)),
+            problem.message,
+            problem.severity === 'error' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning
+        );
+        diagnostic.source = 'NetSuite';
+        return diagnostic;
+    }));
+
+    const errors = problems.filter(problem => problem.severity === 'error');
+    if (errors.length === 0) return;
+
+    const summary = `${path.basename(uploadInfo.uploadPath)}:${errors[0].line + 1} ${errors[0].message}` +
+        (errors.length > 1 ? ` (+${errors.length - 1} more)` : '');
+
+    if (mode === 'block') {
+        const error = new Error(summary);
+        error.code = 'VALIDATION_FAILED';
+        throw error;
+    }
+
+    log(`Validation errors, uploading anyway (warn mode): ${summary}`);
+}
+
+/**
+ * Check a SuiteScript file: syntax, JSDoc header tags and define() dependencies
+ * Returns [{ line, column, length, message, severity: 'error' | 'warning' }] with 0-based positions
+ */
+function validateSuiteScript(content, filePath) {
+    const problems = [];
+
+    // Compile only, nothing is executed
+    try {
+        new vm.Script(content, { filename: filePath });
+    } catch (error) {
+        const lines = (error.stack || '').split('\n');
+        const lineMatch = (lines[0] || '').match(/:(\d+)$/);
+        const caret = (lines[2] || '').indexOf('^');
+        problems.push({
+            line: lineMatch ? parseInt(lineMatch[1], 10) - 1 : 0,
+            column: Math.max(caret, 0),
+            message: `Syntax error: ${error.message}`,
+            severity: 'error'
+        });
+        return problems;
+    }
+
+    // Header and dependency checks only apply to AMD SuiteScript modules
+    const defineMatch = content.match(/\bdefine\s*\(\s*(?:\[([^\]]*)\])?/);
+    if (!defineMatch) return problems;
+
+    const header = content.substring(0, defineMatch.index);
+    const apiVersion = /@NApiVersion[ \t]+(\S+)/.exec(header);
+    const scriptType = /@NScriptType[ \t]+(\S+)/.exec(header);
+
+    if (!apiVersion) {
+        problems.push({ ...positionAt(content, defineMatch.index), length: 6, message: 'Missing @NApiVersion in the JSDoc header', severity: 'error' });
+    } else if (!NAPI_VERSIONS.includes(apiVersion[1])) {
+        problems.push({
+            ...positionAt(content, apiVersion.index),
+            length: apiVersion[0].length,
+            message: `Unknown @NApiVersion ${apiVersion[1]} (expected ${NAPI_VERSIONS.join(', ')})`,
+            severity: 'error'
+        });
+    }
+
+    if (!scriptType) {
+        problems.push({
+            ...positionAt(content, defineMatch.index),
+            length: 6,
+            message: 'No @NScriptType in the JSDoc header (fine for library modules, required for script entry points)',
+            severity: 'warning'
+        });
+    } else if (!SCRIPT_TYPES.some(type => type.toLowerCase() === scriptType[1].toLowerCase())) {
+        problems.push({
+            ...positionAt(content, scriptType.index),
+            length: scriptType[0].length,
+            message: `Unknown @NScriptType ${scriptType[1]}`,
+            severity: 'warning'
+        });
+    }
+
+    // define(['N/record', './lib/util', '/SuiteScripts/shared/x'], ...)
+    if (defineMatch[1] !== undefined) {
+        const listStart = defineMatch.index + defineMatch[0].indexOf('[') + 1;
+        const dependencyPattern = /(['"])([^'"]*)\1/g;
+        let match;
+
+        while ((match = dependencyPattern.exec(defineMatch[1])) !== null) {
+            const dependency = match[2];
+            const isPath = dependency.startsWith('./') || dependency.startsWith('../') || dependency.startsWith('/');
+            const isModule = SUITESCRIPT_MODULES.includes(dependency);
+            if (isPath || isModule) continue;
+
+            problems.push({
+                ...positionAt(content, listStart + match.index),
+                length: match[0].length,
+                message: dependency.startsWith('N/')
+                    ? `Unknown SuiteScript module '${dependency}'`
+                    : `define() dependency '${dependency}' is not an N/ module or a file path (fine if it is an @NAmdConfig alias)`,
+                // Newer N/ modules and @NAmdConfig aliases are valid, so this must not block uploads
+                severity: 'warning'
+            });
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * 0-based line and column of a string offset
+ */
+function positionAt(content, offset) {
+    const before = content.substring(0, offset);
+    const lastNewline = before.lastIndexOf('\n');
+    return {
+        line: before.split('\n').length - 1,
+        column: offset - lastNewline - 1
+    };
+}
+
+/**
+ * Build the RESTlet upload payload for a resolved upload file
+ * 
+ * Options:
+ *   force - don't send the expected version (overwrite remote changes)
+ */
+function buildUploadPayload(uploadInfo, workspaceFolder, options = {}) {
+    // Read file content from the resolved upload path (binary files as base64)
+    const fileData = readFileForUpload(uploadInfo.uploadPath);
+    if (fileData.encoding === 'base64') {
+        log(`Binary file detected, sending as base64 (${fileData.size} bytes)`);
+    }
+
+    // Throws if a 'block' validation rule finds errors
+    validateUpload(uploadInfo, workspaceFolder, fileData);
+
+    // Prepare payload
+    const payload = {
+        path: uploadInfo.netSuitePath,
+        content: fileData.content,
+        encoding: fileData.encoding,
+        description: `Uploaded via Auto-Upload from ${uploadInfo.relativePath}`
+    };
+
+    // Let the RESTlet reject the upload if someone changed the file in NetSuite
+    const knownVersion = getFileVersion(workspaceFolder, uploadInfo.netSuitePath);
+    if (knownVersion && !options.force) {
+        payload.expectedVersion = {
+            hash: knownVersion.hash,
+            lastModified: knownVersion.lastModified
+        };
+    }
+
+    return payload;
+}
+
+/**
+ * Remember the new server version and track the upload in history
+ */
+async function recordUploadSuccess(uploadInfo, workspaceFolder, response) {
+    await setFileVersion(workspaceFolder, uploadInfo.netSuitePath, response);
+    await removeFromQueue(uploadInfo.uploadPath);
+    await setUploadState(uploadInfo, workspaceFolder, { status: 'uploaded', fileId: response.fileId, action: response.action });
+
+    addHistoryEntry(workspaceFolder, {
+        file: path.basename(uploadInfo.uploadPath),
+        localPath: uploadInfo.uploadPath,
+        netSuitePath: uploadInfo.netSuitePath,
+        action: response.action,
+        fileId: response.fileId
+    });
+}
+
+/**
+ * Track a failed upload attempt in history
+ */
+function recordUploadFailure(uploadInfo, workspaceFolder, error) {
+    setUploadState(uploadInfo, workspaceFolder, { status: 'failed', error: error.message })
+        .catch(e => log('Failed to save upload state', { error: e.message }, workspaceFolder));
+
+    addHistoryEntry(workspaceFolder, {
+        file: path.basename(uploadInfo.uploadPath),
+        localPath: uploadInfo.uploadPath,
+        netSuitePath: uploadInfo.netSuitePath,
+        action: 'failed',
+        error: error.message,
+        errorCode: error.code || null,
+        fileId: getFileVersion(workspaceFolder, uploadInfo.netSuitePath)?.fileId || null
+    });
+}
+
+/**
+ * Ask how to resolve a file that changed in NetSuite since our last upload/download
+ */
+async function handleUploadConflict(document, uploadInfo, conflict) {
+    const modifiedNote = conflict.lastModified ? ` (modified ${conflict.lastModified})` : '';
+    const selection = await vscode.window.showWarningMessage(
+        `${uploadInfo.netSuitePath} was changed in NetSuite since your last upload${modifiedNote}. Upload anyway?`,
+        'Diff',
+        'Overwrite',
+        'Pull'
+    );
+
+    const fileUri = document instanceof vscode.Uri ? document : document.uri;
+    if (selection === 'Diff') {
+        await compareWithRemote(fileUri);
+    } else if (selection === 'Overwrite') {
+        log(`Overwriting remote changes: ${uploadInfo.netSuitePath}`);
+        await uploadFile(document, { force: true });
+    } else if (selection === 'Pull') {
+        await downloadCurrentFile(fileUri);
+    }
+}
+
+/**
+ * Track an upload, delete, move or failure in history (most recent first)
+ */
+function addHistoryEntry(workspaceFolder, entry) {
+    uploadHistory.unshift({
+        ...entry,
+        time: new Date().toISOString(),
+        workspaceFolder: workspaceFolder.uri.toString(),
+        profile: getActiveProfile(workspaceFolder) || 'default',
+        accountId: getCredential('accountId', workspaceFolder) || null
+    });
+    if (uploadHistory.length > HISTORY_LIMIT) uploadHistory.length = HISTORY_LIMIT;
+
+    // Persist across reloads
+    if (extensionContext) {
+        extensionContext.workspaceState.update('netsuite-auto-upload.uploadHistory', uploadHistory);
+    }
+    if (historyEmitter) {
+        historyEmitter.fire();
+    }
+}
+
+/**
+ * Create a request Error
+ * Network errors, timeouts, 429 and 5xx responses are marked transient (worth retrying later)
+ */
+function requestError(message, statusCode = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.transient = statusCode === null || statusCode === 429 || statusCode >= 500;
+    return error;
+}
+
+/**
+ * Make authenticated request to NetSuite RESTlet
+ */
+async function makeAuthenticatedRequest(url, method = 'POST', payload = null, workspaceFolder = null) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const timeout = config.get('requestTimeout') || 30000;
+    const body = payload ? JSON.stringify(payload) : null;
+    const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+    };
+    
+    if (getCredential('authMode', workspaceFolder) === 'oauth2') {
+        const accessToken = await getOAuth2Token(workspaceFolder);
+        try {
+            return await sendRequest(url, method, { ...headers, 'Authorization': `Bearer ${accessToken}` }, body, timeout, workspaceFolder);
+        } catch (error) {
+            if (error.statusCode !== 401) throw error;
+            
+            // Token revoked or expired before its expiry time - get a new one and retry once
+            log('Access token rejected, requesting a new one', null, workspaceFolder);
+            const freshToken = await getOAuth2Token(workspaceFolder, true);
+            return sendRequest(url, method, { ...headers, 'Authorization': `Bearer ${freshToken}` }, body, timeout, workspaceFolder);
+        }
+    }
+    
+    // Get OAuth credentials from .env or VS Code settings
+    const consumerKey = getCredential('oauth.consumerKey', workspaceFolder);
+    const consumerSecret = getCredential('oauth.consumerSecret', workspaceFolder);
+    const tokenId = getCredential('oauth.tokenId', workspaceFolder);
+    const tokenSecret = getCredential('oauth.tokenSecret', workspaceFolder);
+    const accountId = getCredential('accountId', workspaceFolder);
+    
+    if (!consumerKey || !consumerSecret || !tokenId || !tokenSecret || !accountId) {
+        throw new Error('OAuth credentials not configured. Add them to .env file or run Configure command.');
+    }
+    
+    const oauth = OAuth({
+        consumer: {
+            key: consumerKey,
+            secret: consumerSecret
+        },
+        signature_method: 'HMAC-SHA256',
+        hash_function(base_string, key) {
+            return crypto.HmacSHA256(base_string, key).toString(crypto.enc.Base64);
+        }
+    });
+
+    const token = {
+        key: tokenId,
+        secret: tokenSecret
+    };
+
+    const requestData = {
+        url: url,
+        method: method
+    };
+
+    const oauthHeader = oauth.toHeader(oauth.authorize(requestData, token));
+    
+    // NetSuite requires realm in the Authorization header, not as separate header
+    const authHeader = oauthHeader.Authorization.replace(
+        'OAuth ',
+        `OAuth realm="${accountId}",`
+    );
+
+    return sendRequest(url, method, { ...headers, 'Authorization': authHeader }, body, timeout, workspaceFolder);
+}
+
+/**
+ * Send an HTTPS request and parse the JSON response
+ * Plain http is only allowed with allowHttp (a token URL on this machine, e.g. a local test server),
+ * never for credentialed RESTlet calls
+ */
+function sendRequest(url, method, headers, body, timeout, workspaceFolder = null, allowHttp = false) {
+    const urlParsed = new URL(url);
+    const secure = urlParsed.protocol === 'https:';
+
+    if (!secure && !(allowHttp && urlParsed.protocol === 'http:')) {
+        return Promise.reject(requestError(`Refusing to send credentials over ${urlParsed.protocol} (${urlParsed.host}); use an https:// URL`, 0));
+    }
+
+    return new Promise((resolve, reject) => {
+        const options = {
+            hostname: urlParsed.hostname,
+            port: urlParsed.port || (secure ? 443 : 80),
+            path: urlParsed.pathname + urlParsed.search,
+            method: method,
+            headers: headers,
+            timeout: timeout
+        };
+
+        log('Making request', { 
+            url: url, 
+            method: method,
+            hostname: options.hostname 
+        }, workspaceFolder);
+
+        const req = (secure ? https : http).request(options, res => {
+            let data = '';
+
+            res.on('data', chunk => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                log('Response received', { 
+                    statusCode: res.statusCode, 
+                    dataLength: data.length 
+                }, workspaceFolder);
+                
+                try {
+                    // Handle empty response
+                    if (!data) {
+                        if (res.statusCode >= 200 && res.statusCode < 300) {
+                            resolve({ success: true, message: 'Request completed' });
+                        } else {
+                            reject(requestError(`HTTP ${res.statusCode}: Empty response`, res.statusCode));
+                        }
+                        return;
+                    }
+                    
+                    const response = JSON.parse(data);
+                    
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve(response);
+                    } else {
+                        reject(requestError(response.message || response.error?.message || response.error_description || `HTTP ${res.statusCode}`, res.statusCode));
+                    }
+                } catch (e) {
+                    log('Parse error', { raw: data.substring(0, 500) }, workspaceFolder);
+                    reject(requestError(`Invalid response: ${data.substring(0, 100)}`, res.statusCode));
+                }
+            });
+        });
+
+        req.on('error', error => {
+            log('Request error', { error: error.message }, workspaceFolder);
+            reject(requestError(`Network error: ${error.message}`));
+        });
+
+        req.on('timeout', () => {
+            req.destroy();
+            reject(requestError(`Request timeout after ${timeout}ms`));
+        });
+
+        if (body) {
+            req.setHeader('Content-Length', Buffer.byteLength(body));
+            req.write(body);
+        }
+        
+        req.end();
+    });
+}
+
+/**
+ * OAuth 2.0 token endpoint for the account, e.g.
+ * https://1234567-sb1.suitetalk.api.netsuite.com/services/rest/auth/oauth2/v1/token
+ */
+function getOAuth2TokenUrl(workspaceFolder) {
+    const tokenUrl = getCredential('oauth2.tokenUrl', workspaceFolder);
+    if (tokenUrl) return tokenUrl;
+
+    const accountId = getCredential('accountId', workspaceFolder);
+    if (!accountId) return null;
+
+    const host = String(accountId).toLowerCase().replace(/_/g, '-');
+    return `https://${host}.suitetalk.api.netsuite.com/services/rest/auth/oauth2/v1/token`;
+}
+
+/**
+ * Get a bearer token for the client credentials flow, reusing the cached one until shortly before it expires
+ */
+async function getOAuth2Token(workspaceFolder, forceRefresh = false) {
+    const clientId = getCredential('oauth2.clientId', workspaceFolder);
+    const certificateId = getCredential('oauth2.certificateId', workspaceFolder);
+    const privateKeyPath = getCredential('oauth2.privateKeyPath', workspaceFolder);
+    const tokenUrl = getOAuth2TokenUrl(workspaceFolder);
+
+    if (!clientId || !certificateId || !privateKeyPath || !tokenUrl) {
+        throw new Error('OAuth 2.0 credentials not configured. Add NS_CLIENT_ID, NS_CERTIFICATE_ID, NS_PRIVATE_KEY_PATH and NS_ACCOUNT_ID to .env file.');
+    }
+
+    const cacheKey = `${tokenUrl}|${clientId}|${certificateId}`;
+    const cached = oauth2Tokens.get(cacheKey);
+
+    if (cached && !forceRefresh) {
+        // A request already in flight is shared by everyone waiting for a token
+        if (cached.pending) return cached.pending;
+        if (cached.expiresAt - 60000 > Date.now()) return cached.accessToken;
+    }
+
+    // Resolves to the token itself, so callers sharing it get the same value as the requester
+    const pending = requestOAuth2Token(tokenUrl, clientId, certificateId, privateKeyPath, workspaceFolder).then(({ accessToken, expiresIn }) => {
+        oauth2Tokens.set(cacheKey, { accessToken: accessToken, expiresAt: Date.now() + expiresIn * 1000 });
+        return accessToken;
+    }, error => {
+        oauth2Tokens.delete(cacheKey);
+        throw error;
+    });
+    oauth2Tokens.set(cacheKey, { pending: pending });
+
+    return pending;
+}
+
+/**
+ * Exchange a signed JWT assertion for an access token
+ */
+async function requestOAuth2Token(tokenUrl, clientId, certificateId, privateKeyPath, workspaceFolder) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const timeout = config.get('requestTimeout') || 30000;
+    const scope = getCredential('oauth2.scope', workspaceFolder) || ['restlets'];
+
+    const keyPath = workspaceFolder ? path.resolve(workspaceFolder.uri.fsPath, privateKeyPath) : privateKeyPath;
+    let privateKey;
+    try {
+        privateKey = nodeCrypto.createPrivateKey(fs.readFileSync(keyPath));
+    } catch (error) {
+        throw new Error(`Cannot read OAuth 2.0 private key ${keyPath}: ${error.message}`);
+    }
+
+    const assertion = createJwtAssertion({
+        iss: clientId,
+        scope: Array.isArray(scope) ? scope : String(scope).split(',').map(s => s.trim()),
+        aud: tokenUrl
+    }, certificateId, privateKey);
+
+    const body = [
+        'grant_type=client_credentials',
+        `client_assertion_type=${encodeURIComponent('urn:ietf:params:oauth:client-assertion-type:jwt-bearer')}`,
+        `client_assertion=${encodeURIComponent(assertion)}`
+    ].join('&');
+
+    log('Requesting OAuth 2.0 access token', { tokenUrl: tokenUrl, clientId: clientId }, workspaceFolder);
+
+    // The derived token URL is always https; an NS_TOKEN_URL override may only be http on loopback,
+    // so the signed assertion and the token never cross the network in cleartext
+    const allowHttp = LOOPBACK_HOSTS.includes(new URL(tokenUrl).hostname);
+
+    let response;
+    try {
+        response = await sendRequest(tokenUrl, 'POST', {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+        }, body, timeout, workspaceFolder, allowHttp);
+    } catch (error) {
+        error.message = `OAuth 2.0 token request failed: ${error.message}`;
+        throw error;
+    }
+
+    if (!response.access_token) {
+        throw new Error('OAuth 2.0 token response has no access_token');
+    }
+
+    return { accessToken: response.access_token, expiresIn: Number(response.expires_in) || 3600 };
+}
+
+/**
+ * Build a JWT signed with the certificate's private key
+ * RSA keys sign with PS256, EC keys with ES256 (the algorithms NetSuite accepts)
+ */
+function createJwtAssertion(claims, certificateId, privateKey) {
+    const isEc = privateKey.asymmetricKeyType === 'ec';
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: isEc ? 'ES256' : 'PS256', typ: 'JWT', kid: certificateId };
+    const payload = { ...claims, iat: now, exp: now + 3600 };
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode(header)}.${encode(payload)}`;
+
+    const signature = nodeCrypto.sign('sha256', Buffer.from(signingInput), isEc
+        ? { key: privateKey, dsaEncoding: 'ieee-p1363' }
+        : { key: privateKey, padding: nodeCrypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: nodeCrypto.constants.RSA_PSS_SALTLEN_DIGEST });
+
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Append query parameters to the RESTlet URL
+ * Uses encodeURIComponent (not URLSearchParams) so spaces become %20,
+ * which is what the OAuth signature base string expects
+ */
+function buildRestletUrl(restletUrl, params) {
+    const query = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+        .join('&');
+    
+    if (!query) return restletUrl;
+    
+    return restletUrl + (restletUrl.includes('?') ? '&' : '?') + query;
+}
+
+/**
+ * Get the RESTlet URL, prompting to create a .env file if it's missing
+ */
+function requireRestletUrl(workspaceFolder) {
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+
+    if (!restletUrl) {
+        vscode.window.showErrorMessage(
+            'NetSuite Auto Upload: RESTlet URL not configured. Add NS_RESTLET_URL to .env file.',
+            'Create .env Template'
+        ).then(selection => {
+            if (selection === 'Create .env Template') {
+                createEnvTemplate(workspaceFolder);
+            }
+        });
+        return null;
+    }
+
+    return restletUrl;
+}
+
+/**
+ * Create an Error carrying the RESTlet's error code (e.g. FILE_NOT_FOUND)
+ */
+function restletError(response, fallbackMessage) {
+    const error = new Error(response.message || response.error || fallbackMessage);
+    error.code = response.error;
+    error.response = response;
+    return error;
+}
+
+/**
+ * Fetch a file from the File Cabinet by path
+ * Returns { fileId, path, name, size, encoding, content, lastModified }
+ */
+async function fetchRemoteFile(netSuitePath, workspaceFolder) {
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+    if (!restletUrl) {
+        throw new Error('RESTlet URL not configured. Add NS_RESTLET_URL to .env file.');
+    }
+
+    const url = buildRestletUrl(restletUrl, { path: netSuitePath });
+    const response = await makeAuthenticatedRequest(url, 'GET', null, workspaceFolder);
+
+    if (!response.success) {
+        throw restletError(response, 'Download failed');
+    }
+
+    return response;
+}
+
+/**
+ * Fetch the content of a backup version (backups are plain File Cabinet files)
+ */
+async function fetchRemoteVersion(versionId, workspaceFolder) {
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+    const url = buildRestletUrl(restletUrl, { fileId: versionId });
+    const response = await makeAuthenticatedRequest(url, 'GET', null, workspaceFolder);
+
+    if (!response.success) {
+        throw restletError(response, 'Version download failed');
+    }
+
+    return response;
+}
+
+/**
+ * Convert a RESTlet file response into a Buffer
+ */
+function remoteContentToBuffer(remoteFile) {
+    return Buffer.from(remoteFile.content || '', remoteFile.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * Build a read-only URI for a File Cabinet file
+ * The workspace folder is kept in the query so credentials resolve against its profile
+ */
+function makeRemoteUri(netSuitePath, workspaceFolder, params = {}) {
+    const query = new URLSearchParams({ ws: workspaceFolder.uri.toString(), ...params }).toString();
+    return vscode.Uri.from({ scheme: REMOTE_SCHEME, path: netSuitePath, query: query });
+}
+
+/**
+ * TextDocumentContentProvider: File Cabinet content for a netsuite-remote URI
+ */
+async function provideRemoteContent(uri) {
+    const key = uri.toString();
+    if (remoteContents.has(key)) {
+        const content = remoteContents.get(key);
+        remoteContents.delete(key);
+        return content;
+    }
+
+    const params = new URLSearchParams(uri.query);
+    const wsUri = params.get('ws');
+    const workspaceFolder = wsUri ? vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(wsUri)) : null;
+
+    try {
+        const versionId = params.get('version');
+        const remoteFile = versionId
+            ? await fetchRemoteVersion(versionId, workspaceFolder)
+            : await fetchRemoteFile(uri.path, workspaceFolder);
+        return remoteFileToText(remoteFile);
+    } catch (error) {
+        log(`Failed to load remote content: ${uri.path}`, { error: error.message });
+        return `// Could not load ${uri.path} from the File Cabinet: ${error.message}`;
+    }
+}
+
+/**
+ * Text shown for a File Cabinet file in an editor
+ */
+function remoteFileToText(remoteFile) {
+    if (remoteFile.encoding === 'base64') {
+        return `Binary file (${remoteFile.size} bytes) - cannot be shown as text.`;
+    }
+    return remoteFile.content || '';
+}
+
+/**
+ * Command: Configure extension
+ */
+async function configure() {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const workspaceFolder = getDefaultWorkspaceFolder();
+    const storedSecret = key => secretCache.get(secretStorageKey(workspaceFolder, key)) || '';
+
+    try {
+        // Guide user through configuration
+        const restletUrl = await vscode.window.showInputBox({
+            prompt: 'Enter NetSuite RESTlet External URL',
+            value: config.get('restletUrl') || '',
+            placeHolder: 'https://1234567.restlets.api.netsuite.com/app/site/hosting/restlet.nl?script=123&deploy=1',
+            validateInput: (value) => {
+                if (!value) return 'URL is required';
+                if (!value.startsWith('https://')) return 'URL must start with https://';
+                if (!value.includes('restlet')) return 'URL should be a RESTlet URL';
+                return null;
+            }
+        });
+
+        if (restletUrl === undefined) return; // User cancelled
+
+        const accountId = await vscode.window.showInputBox({
+            prompt: 'Enter NetSuite Account ID (from URL or Setup > Company)',
+            value: config.get('accountId') || '',
+            placeHolder: '1234567 or 1234567_SB1 for sandbox',
+            validateInput: (value) => {
+                if (!value) return 'Account ID is required';
+                return null;
+            }
+        });
+
+        if (accountId === undefined) return;
+
+        const consumerKey = await vscode.window.showInputBox({
+            prompt: 'Enter OAuth Consumer Key (from Integration record)',
+            value: storedSecret('oauth.consumerKey'),
+            password: true,
+            validateInput: (value) => {
+                if (!value) return 'Consumer Key is required';
+                return null;
+            }
+        });
+
+        if (consumerKey === undefined) return;
+
+        const consumerSecret = await vscode.window.showInputBox({
+            prompt: 'Enter OAuth Consumer Secret',
+            value: storedSecret('oauth.consumerSecret'),
+            password: true,
+            validateInput: (value) => {
+                if (!value) return 'Consumer Secret is required';
+                return null;
+            }
+        });
+
+        if (consumerSecret === undefined) return;
+
+        const tokenId = await vscode.window.showInputBox({
+            prompt: 'Enter OAuth Token ID (from Access Token)',
+            value: storedSecret('oauth.tokenId'),
+            password: true,
+            validateInput: (value) => {
+                if (!value) return 'Token ID is required';
+                return null;
+            }
+        });
+
+        if (tokenId === undefined) return;
+
+        const tokenSecret = await vscode.window.showInputBox({
+            prompt: 'Enter OAuth Token Secret',
+            value: storedSecret('oauth.tokenSecret'),
+            password: true,
+            validateInput: (value) => {
+                if (!value) return 'Token Secret is required';
+                return null;
+            }
+        });
+
+        if (tokenSecret === undefined) return;
+
+        // Optional: Root path configuration
+        const rootPath = await vscode.window.showInputBox({
+            prompt: 'Enter NetSuite root path for uploads (press Enter for default)',
+            value: config.get('rootPath') || '/SuiteScripts',
+            placeHolder: '/SuiteScripts'
+        });
+
+        // Save configuration
+        const target = vscode.ConfigurationTarget.Workspace;
+        
+        await config.update('restletUrl', restletUrl, target);
+        await config.update('accountId', accountId, target);
+        if (rootPath) {
+            await config.update('rootPath', rootPath, target);
+        }
+
+        // OAuth credentials go to secret storage, never to settings
+        const secrets = {
+            'oauth.consumerKey': consumerKey,
+            'oauth.consumerSecret': consumerSecret,
+            'oauth.tokenId': tokenId,
+            'oauth.tokenSecret': tokenSecret
+        };
+        for (const [key, value] of Object.entries(secrets)) {
+            await storeSecret(workspaceFolder, key, value);
+            if (config.inspect(key)?.workspaceValue !== undefined) {
+                await config.update(key, undefined, target);
+            }
+        }
+
+        log('Configuration saved successfully');
+
+        const selection = await vscode.window.showInformationMessage(
+            'NetSuite Auto Upload configured successfully!',
+            'Test Connection',
+            'Done'
+        );
+        
+        if (selection === 'Test Connection') {
+            await testConnection();
+        }
+        
+    } catch (error) {
+        log('Configuration error', { error: error.message });
+        vscode.window.showErrorMessage(`Configuration failed: ${error.message}`);
+    }
+}
+
+/**
+ * Command: Enable auto-upload
+ */
+async function enable() {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    await config.update('enabled', true, vscode.ConfigurationTarget.Workspace);
+    log('Auto-upload enabled');
+    vscode.window.showInformationMessage('NetSuite Auto Upload enabled');
+}
+
+/**
+ * Command: Disable auto-upload
+ */
+async function disable() {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    await config.update('enabled', false, vscode.ConfigurationTarget.Workspace);
+    log('Auto-upload disabled');
+    vscode.window.showInformationMessage('NetSuite Auto Upload disabled');
+}
+
+/**
+ * Command: Switch the active credential profile for a workspace
+ */
+async function switchProfile() {
+    const workspaceFolder = getDefaultWorkspaceFolder();
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder open');
+        return;
+    }
+
+    const profiles = listProfiles(workspaceFolder);
+    if (profiles.length === 0) {
+        vscode.window.showInformationMessage(
+            'No profiles found. Create .env.<profile> files (e.g. .env.sb1, .env.prod) next to your .env.'
+        );
+        return;
+    }
+
+    const current = getActiveProfile(workspaceFolder);
+    const items = [
+        {
+            label: 'default',
+            description: current ? '' : 'active',
+            detail: 'Base .env files only',
+            profile: ''
+        },
+        ...profiles.map(profile => ({
+            label: profile,
+            description: profile === current ? 'active' : '',
+            detail: `.env.${profile}`,
+            profile: profile
+        }))
+    ];
+
+    const selection = await vscode.window.showQuickPick(items, {
+        placeHolder: `Select NetSuite profile for ${workspaceFolder.name}`
+    });
+
+    if (!selection) return;
+
+    const stored = extensionContext.workspaceState.get('netsuite-auto-upload.profiles') || {};
+    stored[workspaceFolder.uri.fsPath] = selection.profile;
+    await extensionContext.workspaceState.update('netsuite-auto-upload.profiles', stored);
+
+    clearEnvCache(workspaceFolder);
+    refreshActiveProfile();
+
+    const accountId = getCredential('accountId', workspaceFolder);
+    log(`Switched profile to ${selection.label}`, { workspace: workspaceFolder.name, accountId: accountId });
+    vscode.window.showInformationMessage(
+        `NetSuite profile: ${selection.label}${accountId ? ` (account ${accountId})` : ''}`
+    );
+}
+
+/**
+ * Command: Upload current file
+ */
+async function uploadCurrentFile() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showErrorMessage('No active file to upload');
+        return;
+    }
+
+    // Saving a netsuite:/ file already writes it to the File Cabinet
+    await editor.document.save();
+    if (editor.document.uri.scheme === FS_SCHEME) return;
+
+    await uploadFile(editor.document);
+}
+
+/**
+ * Command: Upload a folder (Explorer context menu)
+ */
+async function uploadFolder(uri) {
+    let folderUri = uri instanceof vscode.Uri ? uri : null;
+    
+    if (!folderUri) {
+        const picked = await vscode.window.showOpenDialog({
+            canSelectFolders: true,
+            canSelectFiles: false,
+            canSelectMany: false,
+            defaultUri: getDefaultWorkspaceFolder()?.uri,
+            openLabel: 'Upload to NetSuite'
+        });
+        if (!picked || picked.length === 0) return;
+        folderUri = picked[0];
+    }
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(folderUri);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('Folder is not in a workspace folder');
+        return;
+    }
+
+    await bulkUpload(folderUri.fsPath, workspaceFolder);
+}
+
+/**
+ * Command: Upload the whole upload source folder (uploadFrom)
+ */
+async function uploadProject() {
+    const workspaceFolder = getDefaultWorkspaceFolder();
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder open');
+        return;
+    }
+
+    const sourcePath = getUploadSourcePath(workspaceFolder);
+    if (!fs.existsSync(sourcePath)) {
+        vscode.window.showErrorMessage(`Upload folder not found: ${sourcePath}. Run your build or change 'uploadFrom' setting.`);
+        return;
+    }
+
+    await bulkUpload(sourcePath, workspaceFolder);
+}
+
+/**
+ * Collect the files under a folder that pass watchPatterns / excludePatterns
+ * Returns resolved upload infos (src→dist mapped), one per upload file
+ */
+function collectUploadFiles(folderPath, workspaceFolder) {
+    const wsPath = workspaceFolder.uri.fsPath;
+    const watchFolder = getCredential('watchFolder', workspaceFolder) || 'src';
+    const uploadFrom = getCredential('uploadFrom', workspaceFolder) || 'dist';
+    const uploads = new Map();
+
+    // Patterns are relative to whichever of the two folders the path is in
+    const patternBase = relativePath => relativePath.startsWith(uploadFrom + '/') ? uploadFrom : watchFolder;
+
+    const walk = dir => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            log(`Cannot read folder: ${dir}`, { error: e.message });
+            return;
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            const relativePath = path.relative(wsPath, fullPath).replace(/\\/g, '/');
+
+            if (entry.isDirectory()) {
+                // Skip excluded folders (node_modules, .git, ...) without walking them
+                if (!matchUploadPatterns(relativePath + '/_', patternBase(relativePath)).excluded) {
+                    walk(fullPath);
+                }
+            } else if (entry.isFile() && matchUploadPatterns(relativePath, patternBase(relativePath)).included) {
+                const uploadInfo = resolveUploadFile(fullPath, workspaceFolder);
+                uploads.set(uploadInfo.uploadPath, uploadInfo);
+            }
+        }
+    };
+
+    walk(folderPath);
+    return Array.from(uploads.values());
+}
+
+/**
+ * Upload every matching file under a folder with bounded concurrency
+ */
+async function bulkUpload(folderPath, workspaceFolder) {
+    if (!requireRestletUrl(workspaceFolder)) return;
+
+    const folderName = path.relative(workspaceFolder.uri.fsPath, folderPath).replace(/\\/g, '/') || workspaceFolder.name;
+    const uploads = collectUploadFiles(folderPath, workspaceFolder);
+
+    if (uploads.length === 0) {
+        vscode.window.showInformationMessage(`No files in ${folderName} match the watch patterns`);
+        return;
+    }
+
+    await uploadFiles(uploads, folderName, workspaceFolder);
+}
+
+/**
+ * Upload a list of resolved files with bounded concurrency, after confirmation
+ * Returns the summary, or null if the user cancelled
+ */
+async function uploadFiles(uploads, folderName, workspaceFolder, options = {}) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return null;
+
+    const accountId = getCredential('accountId', workspaceFolder);
+    const confirm = await vscode.window.showWarningMessage(
+        `Upload ${uploads.length} file(s) from ${folderName} to NetSuite?`,
+        { modal: true, detail: `Profile: ${getActiveProfile(workspaceFolder) || 'default'}${accountId ? ` (account ${accountId})` : ''}` },
+        'Upload'
+    );
+    if (confirm !== 'Upload') return null;
+
+    const concurrency = config.get('bulkConcurrency') || 4;
+    const summary = { created: 0, updated: 0, failed: [], skipped: 0 };
+    log(`Bulk upload: ${uploads.length} file(s) from ${folderName}`, { concurrency: concurrency }, workspaceFolder);
+    updateStatusBar('uploading', `${uploads.length} files`, workspaceFolder);
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Uploading ${folderName} to NetSuite`,
+        cancellable: true
+    }, async (progress, token) => {
+        let next = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (next < uploads.length && !token.isCancellationRequested) {
+                const uploadInfo = uploads[next++];
+                const fileName = path.basename(uploadInfo.uploadPath);
+
+                try {
+                    if (!fs.existsSync(uploadInfo.uploadPath)) {
+                        throw new Error(`File not found in upload folder: ${uploadInfo.relativePath}`);
+                    }
+
+                    const response = await uploadResolvedFile(restletUrl, uploadInfo, workspaceFolder, options);
+                    if (response.action === 'create') {
+                        summary.created++;
+                    } else {
+                        summary.updated++;
+                    }
+                } catch (error) {
+                    log(`Upload failed: ${fileName}`, { error: error.message, netSuitePath: uploadInfo.netSuitePath }, workspaceFolder);
+                    summary.failed.push({ path: uploadInfo.netSuitePath, error: error.message });
+                    recordUploadFailure(uploadInfo, workspaceFolder, error);
+                    if (error.transient) {
+                        await enqueueUpload(uploadInfo, workspaceFolder, error);
+                    }
+                }
+
+                done++;
+                progress.report({
+                    increment: 100 / uploads.length,
+                    message: `${done}/${uploads.length} ${fileName}`
+                });
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, uploads.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        summary.skipped = uploads.length - done;
+    });
+
+    const parts = [`${summary.created} created`, `${summary.updated} updated`, `${summary.failed.length} failed`];
+    if (summary.skipped > 0) parts.push(`${summary.skipped} cancelled`);
+    const message = `NetSuite bulk upload: ${parts.join(', ')}`;
+    log(message, summary.failed.length > 0 ? { failed: summary.failed } : null, workspaceFolder);
+
+    if (summary.failed.length > 0) {
+        updateStatusBar('error', message, workspaceFolder);
+        vscode.window.showWarningMessage(message, 'Show Logs').then(selection => {
+            if (selection === 'Show Logs') outputChannel.show();
+        });
+    } else {
+        updateStatusBar('success', message, workspaceFolder);
+        vscode.window.showInformationMessage(`✓ ${message}`);
+    }
+
+    setTimeout(() => updateStatusBar('ready', '', workspaceFolder), 5000);
+    return summary;
+}
+
+/**
+ * Command: Download current file from the File Cabinet
+ * Overwrites the local copy (the file that would be uploaded) after confirmation
+ */
+async function downloadCurrentFile(uri) {
+    const fileUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+    if (!fileUri) {
+        vscode.window.showErrorMessage('No active file to download');
+        return;
+    }
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('File is not in a workspace folder');
+        return;
+    }
+
+    if (!requireRestletUrl(workspaceFolder)) return;
+
+    // Same mapping as upload, so we pull exactly the file a save would overwrite
+    const uploadInfo = resolveUploadFile(fileUri.fsPath, workspaceFolder);
+    const targets = getDownloadTargets(uploadInfo, workspaceFolder);
+    const localRelative = targets
+        .map(target => path.relative(workspaceFolder.uri.fsPath, target).replace(/\\/g, '/'))
+        .join(' and ');
+
+    let remoteFile;
+    try {
+        log(`Downloading: ${uploadInfo.netSuitePath}`);
+        remoteFile = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: `$(cloud-download) Downloading ${path.basename(uploadInfo.netSuitePath)}...`
+        }, () => fetchRemoteFile(uploadInfo.netSuitePath, workspaceFolder));
+    } catch (error) {
+        log(`Download failed: ${uploadInfo.netSuitePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Download Failed: ${error.message}`);
+        return;
+    }
+
+    const modifiedNote = remoteFile.lastModified ? ` (modified ${remoteFile.lastModified})` : '';
+    const choice = await vscode.window.showWarningMessage(
+        `Overwrite ${localRelative} with the File Cabinet version${modifiedNote}?`,
+        { modal: true },
+        'Overwrite'
+    );
+
+    if (choice !== 'Overwrite') return;
+
+    try {
+        writeDownloadedFile(targets, remoteFile);
+        await setFileVersion(workspaceFolder, uploadInfo.netSuitePath, remoteFile);
+
+        log(`Download successful: ${uploadInfo.netSuitePath} → ${localRelative}`, {
+            fileId: remoteFile.fileId,
+            size: remoteFile.size,
+            encoding: remoteFile.encoding,
+            lastModified: remoteFile.lastModified
+        });
+        vscode.window.showInformationMessage(`✓ ${uploadInfo.netSuitePath} → ${localRelative}`);
+    } catch (error) {
+        log(`Failed to write ${localRelative}`, { error: error.message });
+        vscode.window.showErrorMessage(`Failed to write ${localRelative}: ${error.message}`);
+    }
+}
+
+/**
+ * Local files a download replaces: the watched source file and, when a build maps it to
+ * another upload file (src → dist), that file too, so the next build doesn't undo the download
+ */
+function getDownloadTargets(uploadInfo, workspaceFolder) {
+    const sourcePath = getWatchedFilePath(uploadInfo, workspaceFolder);
+    return sourcePath === uploadInfo.uploadPath ? [sourcePath] : [sourcePath, uploadInfo.uploadPath];
+}
+
+/**
+ * Write downloaded File Cabinet content to local files, creating folders as needed
+ */
+function writeDownloadedFile(targets, remoteFile) {
+    const content = remoteContentToBuffer(remoteFile);
+    for (const target of targets) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    }
+}
+
+/**
+ * Command: Compare local file with the File Cabinet version
+ * Diffs the remote file against the file a save would upload
+ */
+async function compareWithRemote(uri) {
+    const fileUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+    if (!fileUri) {
+        vscode.window.showErrorMessage('No active file to compare');
+        return;
+    }
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('File is not in a workspace folder');
+        return;
+    }
+
+    if (!requireRestletUrl(workspaceFolder)) return;
+
+    const uploadInfo = resolveUploadFile(fileUri.fsPath, workspaceFolder);
+    const fileName = path.basename(uploadInfo.uploadPath);
+
+    if (!fs.existsSync(uploadInfo.uploadPath)) {
+        vscode.window.showWarningMessage(`Local file not found: ${uploadInfo.relativePath}. Run your build first.`);
+        return;
+    }
+
+    let remoteFile;
+    try {
+        log(`Comparing: ${uploadInfo.relativePath} ↔ ${uploadInfo.netSuitePath}`);
+        remoteFile = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: `$(cloud-download) Fetching ${fileName}...`
+        }, () => fetchRemoteFile(uploadInfo.netSuitePath, workspaceFolder));
+    } catch (error) {
+        if (error.code === 'FILE_NOT_FOUND') {
+            vscode.window.showInformationMessage(
+                `${uploadInfo.netSuitePath} is not in the File Cabinet yet. Saving will create it.`
+            );
+            return;
+        }
+        log(`Compare failed: ${uploadInfo.netSuitePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Compare Failed: ${error.message}`);
+        return;
+    }
+
+    const remoteUri = makeRemoteUri(uploadInfo.netSuitePath, workspaceFolder);
+    remoteContents.set(remoteUri.toString(), remoteFileToText(remoteFile));
+    remoteContentEmitter.fire(remoteUri);
+
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        remoteUri,
+        vscode.Uri.file(uploadInfo.uploadPath),
+        `${fileName} (File Cabinet) ↔ ${fileName} (Local)`
+    );
+}
+
+/**
+ * Command: Show the server-side backup versions of the active file
+ * A version can be compared with the local file or restored onto the original file ID
+ */
+async function showRemoteVersions(uri) {
+    const fileUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+    if (!fileUri) {
+        vscode.window.showErrorMessage('No active file');
+        return;
+    }
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('File is not in a workspace folder');
+        return;
+    }
+
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return;
+
+    const uploadInfo = resolveUploadFile(fileUri.fsPath, workspaceFolder);
+    const fileName = path.basename(uploadInfo.uploadPath);
+
+    let response;
+    try {
+        response = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: `$(history) Loading versions of ${fileName}...`
+        }, async () => {
+            const url = buildRestletUrl(restletUrl, { action: 'versions', path: uploadInfo.netSuitePath });
+            const result = await makeAuthenticatedRequest(url, 'GET', null, workspaceFolder);
+            if (!result.success) {
+                throw restletError(result, 'Loading versions failed');
+            }
+            return result;
+        });
+    } catch (error) {
+        log(`Loading versions failed: ${uploadInfo.netSuitePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Versions Failed: ${error.message}`);
+        return;
+    }
+
+    if (response.versions.length === 0) {
+        vscode.window.showInformationMessage(`No backup versions of ${uploadInfo.netSuitePath} yet. One is kept each time an upload overwrites it.`);
+        return;
+    }
+
+    const version = await vscode.window.showQuickPick(response.versions.map(v => ({
+        label: v.time ? new Date(v.time).toLocaleString() : v.name,
+        description: v.user ? `replaced by ${v.user}` : '',
+        detail: `${v.size} bytes · version ${v.versionId}`,
+        version: v
+    })), { placeHolder: `Backup versions of ${uploadInfo.netSuitePath} (newest first)` });
+    if (!version) return;
+
+    const action = await vscode.window.showQuickPick([
+        { label: '$(diff) Compare with Local', action: 'compare' },
+        { label: '$(history) Restore in NetSuite', action: 'restore' }
+    ], { placeHolder: version.label });
+    if (!action) return;
+
+    if (action.action === 'compare') {
+        await compareRemoteVersion(version.version, uploadInfo, workspaceFolder);
+    } else {
+        await restoreRemoteVersion(version.version, uploadInfo, workspaceFolder, fileUri);
+    }
+}
+
+/**
+ * Diff a backup version against the local upload file
+ */
+async function compareRemoteVersion(version, uploadInfo, workspaceFolder) {
+    const fileName = path.basename(uploadInfo.uploadPath);
+
+    if (!fs.existsSync(uploadInfo.uploadPath)) {
+        vscode.window.showWarningMessage(`Local file not found: ${uploadInfo.relativePath}. Run your build first.`);
+        return;
+    }
+
+    const remoteUri = makeRemoteUri(uploadInfo.netSuitePath, workspaceFolder, { version: version.versionId });
+    const label = version.time ? new Date(version.time).toLocaleString() : version.name;
+
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        remoteUri,
+        vscode.Uri.file(uploadInfo.uploadPath),
+        `${fileName} (${label}) ↔ ${fileName} (Local)`
+    );
+}
+
+/**
+ * Restore a backup version onto the original file ID
+ */
+async function restoreRemoteVersion(version, uploadInfo, workspaceFolder, fileUri) {
+    const label = version.time ? new Date(version.time).toLocaleString() : version.name;
+    const choice = await vscode.window.showWarningMessage(
+        `Restore ${uploadInfo.netSuitePath} to the version from ${label}?`,
+        { modal: true, detail: 'The current File Cabinet content is backed up first. Your local file is not changed.' },
+        'Restore'
+    );
+    if (choice !== 'Restore') return;
+
+    try {
+        log(`Restoring: ${uploadInfo.netSuitePath} from version ${version.versionId}`);
+        const response = await makeAuthenticatedRequest(getCredential('restletUrl', workspaceFolder), 'POST', {
+            action: 'restore',
+            path: uploadInfo.netSuitePath,
+            versionId: version.versionId
+        }, workspaceFolder);
+
+        if (!response.success) {
+            throw restletError(response, 'Restore failed');
+        }
+
+        log(`Restore successful: ${uploadInfo.netSuitePath}`, response);
+        await setFileVersion(workspaceFolder, uploadInfo.netSuitePath, response);
+        addHistoryEntry(workspaceFolder, {
+            file: path.basename(uploadInfo.uploadPath),
+            localPath: uploadInfo.uploadPath,
+            netSuitePath: uploadInfo.netSuitePath,
+            action: 'restore',
+            fileId: response.fileId
+        });
+
+        const selection = await vscode.window.showInformationMessage(
+            `✓ Restored ${uploadInfo.netSuitePath} to the version from ${label}`,
+            'Download to Local'
+        );
+        if (selection === 'Download to Local') {
+            await downloadCurrentFile(fileUri);
+        }
+    } catch (error) {
+        log(`Restore failed: ${uploadInfo.netSuitePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Restore Failed: ${error.message}`);
+    }
+}
+
+/**
+ * Command: Test connection
+ */
+async function testConnection() {
+    // Get active workspace folder
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    const workspaceFolder = workspaceFolders ? workspaceFolders[0] : null;
+    
+    const restletUrl = requireRestletUrl(workspaceFolder);
+    if (!restletUrl) return;
+
+    const statusMessage = vscode.window.setStatusBarMessage('$(sync~spin) Testing NetSuite connection...');
+
+    try {
+        log('Testing connection to: ' + restletUrl);
+        
+        // Use GET request for connection test (our enhanced RESTlet supports this)
+        const response = await makeAuthenticatedRequest(restletUrl, 'GET', null, workspaceFolder);
+
+        statusMessage.dispose();
+
+        if (response.success) {
+            log('Connection test successful', response);
+            restletFeatures.set(restletUrl, response.features || []);
+            vscode.window.showInformationMessage(
+                `✓ NetSuite connection successful! RESTlet v${response.version || '1.0'}`
+            );
+
+            // Back online - drain the queue
+            if (Object.keys(getUploadQueue()).length > 0) {
+                processUploadQueue(true).catch(error => log('Upload queue retry failed', { error: error.message }));
+            }
+        } else {
+            throw new Error(response.message || 'Unknown error');
+        }
+    } catch (error) {
+        statusMessage.dispose();
+        log('Connection test failed', { error: error.message });
+        
+        vscode.window.showErrorMessage(
+            `Connection failed: ${error.message}`,
+            'Show Logs',
+            'Create .env Template'
+        ).then(selection => {
+            if (selection === 'Show Logs') {
+                outputChannel.show();
+            } else if (selection === 'Create .env Template') {
+                createEnvTemplate(workspaceFolder);
+            }
+        });
+    }
+}
+
+/**
+ * Create .env template file in project root
+ */
+async function createEnvTemplate(workspaceFolder) {
+    if (!workspaceFolder) {
+        const folders = vscode.workspace.workspaceFolders;
+        if (!folders || folders.length === 0) {
+            vscode.window.showErrorMessage('No workspace folder open');
+            return;
+        }
+        workspaceFolder = folders[0];
+    }
+
+    const envPath = path.join(workspaceFolder.uri.fsPath, '.env');
+    const envExamplePath = path.join(workspaceFolder.uri.fsPath, '.env.example');
+    
+    // Check if .env already exists
+    if (fs.existsSync(envPath)) {
+        const choice = await vscode.window.showWarningMessage(
+            '.env file already exists. Open it?',
+            'Open',
+            'Create .env.example instead'
+        );
+        
+        if (choice === 'Open') {
+            const doc = await vscode.workspace.openTextDocument(envPath);
+            await vscode.window.showTextDocument(doc);
+            return;
+        } else if (choice === 'Create .env.example instead') {
+            // Continue to create .env.example
+        } else {
+            return;
+        }
+    }
+
+    const template = `# ============================================
+# NetSuite Auto Upload Configuration
+# ============================================
+# Copy this file to .env and fill in your credentials
+# IMPORTANT: Add .env to your .gitignore to keep credentials secure!
+#
+# This extension watches your source files and automatically
+# uploads the corresponding built files to NetSuite File Cabinet.
+# ============================================
+
+# ============================================
+# REQUIRED: NetSuite Authentication
+# ============================================
+
+# NetSuite Account ID
+# Found in: Setup > Company > Company Information
+# For sandbox accounts, add _SB1 suffix (e.g., 1234567_SB1)
+NS_ACCOUNT_ID=
+
+# RESTlet External URL
+# Found in: Customization > Scripting > Scripts > [Your RESTlet] > Deployments
+# Copy the "External URL" from the Script Deployment page
+# Format: https://1234567.restlets.api.netsuite.com/app/site/hosting/restlet.nl?script=123&deploy=1
+NS_RESTLET_URL=
+
+# OAuth Consumer Key & Secret
+# Found in: Setup > Integrations > Manage Integrations > [Your Integration]
+# Create an Integration record if you don't have one, then copy the Consumer Key and Secret
+NS_CONSUMER_KEY=
+NS_CONSUMER_SECRET=
+
+# OAuth Token ID & Secret
+# Found in: Setup > Integrations > Manage Integrations > [Your Integration] > Access Tokens
+# Create an Access Token with the following permissions:
+#   - Documents & Files: Full
+#   - SuiteScript: Full
+NS_TOKEN_ID=
+NS_TOKEN_SECRET=
+
+# ============================================
+# OPTIONAL: OAuth 2.0 (instead of the tokens above)
+# ============================================
+# Set NS_AUTH_MODE=oauth2 to use the client credentials (machine-to-machine) flow.
+# Found in: Setup > Integrations > OAuth 2.0 Client Credentials (M2M) Setup
+# Upload the certificate there and copy its Certificate ID. The private key
+# path is relative to the project root - keep the key out of git too.
+# NS_AUTH_MODE=oauth2
+# NS_CLIENT_ID=
+# NS_CERTIFICATE_ID=
+# NS_PRIVATE_KEY_PATH=.netsuite/private-key.pem
+
+# ============================================
+# OPTIONAL: Upload Settings
+# ============================================
+# These settings control which folders are watched and uploaded.
+# Leave empty to use defaults, or customize for your workflow.
+
+# Folder to upload files FROM (default: dist)
+# This is where your built/transpiled files are located.
+# Examples:
+#   - 'dist' for transpiled JavaScript/TypeScript
+#   - 'build' for compiled files
+#   - 'src' if uploading source files directly
+NS_UPLOAD_FROM=dist
+
+# Folder to watch for file saves (default: src)
+# When you save a file in this folder, the extension will:
+#   1. Find the corresponding file in NS_UPLOAD_FROM
+#   2. Upload that file to NetSuite
+# Examples:
+#   - 'src' for source files (most common)
+#   - 'source' if your source folder is named differently
+NS_WATCH_FOLDER=src
+
+# NetSuite root path in File Cabinet (default: /SuiteScripts)
+# Files are uploaded relative to this path.
+# Examples:
+#   - '/SuiteScripts' for SuiteScript files
+#   - '/SuiteApps' for SuiteApp files
+#   - '/Templates' for template files
+NS_ROOT_PATH=/SuiteScripts
+
+# Path mapping rules, checked in order before the FileCabinet / SuiteScripts detection
+# Format: <local glob or folder> => <File Cabinet path>; separated by semicolons
+# ${path} is the part below the folder, ${fileName} the file name
+# NS_PATH_MAPPINGS=web/** => /Web Site Hosting Files/Live Hosting Files/${path}; templates => /Templates
+
+# ============================================
+# OPTIONAL: Profiles
+# ============================================
+# Keep one file per account, e.g. .env.sb1 and .env.prod, containing
+# the NS_* values that differ (account, URL, tokens).
+# Switch with "NetSuite: Switch Profile" or the status bar.
+# NS_PROFILE sets the profile used until you switch.
+# NS_PROFILE=sb1
+
+# ============================================
+# Example Workflow
+# ============================================
+# 1. Edit: src/SuiteScripts/myScript.js
+# 2. Build process creates: dist/SuiteScripts/myScript.js
+# 3. Extension uploads: dist/SuiteScripts/myScript.js → NetSuite
+# 4. File appears in: SuiteScripts > SuiteScripts > myScript.js
+#
+# To upload source files directly (no build step):
+#   NS_UPLOAD_FROM=src
+#   NS_WATCH_FOLDER=src
+# ============================================
+`;
+
+    const targetPath = fs.existsSync(envPath) ? envExamplePath : envPath;
+    
+    try {
+        fs.writeFileSync(targetPath, template, 'utf8');
+        
+        // Add .env to .gitignore if it exists
+        const gitignorePath = path.join(workspaceFolder.uri.fsPath, '.gitignore');
+        if (fs.existsSync(gitignorePath)) {
+            const gitignore = fs.readFileSync(gitignorePath, 'utf8');
+            if (!gitignore.includes('.env')) {
+                fs.appendFileSync(gitignorePath, '\n# NetSuite credentials\n.env\n.env.*\n!.env.example\n');
+                log('Added .env to .gitignore');
+            }
+        }
+        
+        // Open the file
+        const doc = await vscode.workspace.openTextDocument(targetPath);
+        await vscode.window.showTextDocument(doc);
+        
+        vscode.window.showInformationMessage(
+            `Created ${path.basename(targetPath)}. Fill in your NetSuite credentials.`
+        );
+        
+        // Clear cache so new .env is picked up
+        clearEnvCache(workspaceFolder);
+        
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to create .env: ${error.message}`);
+    }
+}
+
+/**
+ * SHA-256 of a file's bytes, the same hash the RESTlet computes
+ */
+function hashFile(filePath) {
+    return nodeCrypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * The watched file an upload came from (src/... when uploading from dist/)
+ * Upload state and Explorer badges are kept for this file
+ */
+function getWatchedFilePath(uploadInfo, workspaceFolder) {
+    if (uploadInfo.originalPath) return uploadInfo.originalPath;
+
+    const watchFolder = getCredential('watchFolder', workspaceFolder) || 'src';
+    const uploadFrom = getCredential('uploadFrom', workspaceFolder) || 'dist';
+    const relativePath = path.relative(workspaceFolder.uri.fsPath, uploadInfo.uploadPath).replace(/\\/g, '/');
+
+    if (uploadFrom !== watchFolder && relativePath.startsWith(uploadFrom + '/')) {
+        const watchedPath = path.join(workspaceFolder.uri.fsPath, watchFolder, relativePath.substring(uploadFrom.length + 1));
+        if (fs.existsSync(watchedPath)) return watchedPath;
+    }
+
+    return uploadInfo.uploadPath;
+}
+
+/**
+ * Upload state key, per profile so badges show what still needs pushing to the active account
+ */
+function uploadStateKey(workspaceFolder, filePath) {
+    return `${getActiveProfile(workspaceFolder) || ''}|${filePath}`;
+}
+
+/**
+ * What was uploaded from a local path: 'file', 'folder' (files below it were uploaded) or null
+ */
+function getUploadedKind(workspaceFolder, localPath) {
+    const states = extensionContext.workspaceState.get('netsuite-auto-upload.uploadStates') || {};
+    const key = uploadStateKey(workspaceFolder, localPath);
+
+    if (states[key]) return 'file';
+    return Object.keys(states).some(other => other.startsWith(key + path.sep)) ? 'folder' : null;
+}
+
+/**
+ * Record the result of an upload for the Explorer badges
+ * Successful uploads store the content hash, so later edits show as changed
+ */
+async function setUploadState(uploadInfo, workspaceFolder, state) {
+    const filePath = getWatchedFilePath(uploadInfo, workspaceFolder);
+    const states = extensionContext.workspaceState.get('netsuite-auto-upload.uploadStates') || {};
+    const key = uploadStateKey(workspaceFolder, filePath);
+
+    if (state.status === 'uploaded') {
+        try {
+            const stat = fs.statSync(filePath);
+            states[key] = {
+                status: 'uploaded',
+                hash: hashFile(filePath),
+                mtime: stat.mtimeMs,
+                size: stat.size,
+                fileId: state.fileId || null,
+                action: state.action || null,
+                time: Date.now()
+            };
+        } catch (e) {
+            delete states[key];
+        }
+    } else {
+        states[key] = { ...states[key], status: 'failed', error: state.error, time: Date.now() };
+    }
+
+    await extensionContext.workspaceState.update('netsuite-auto-upload.uploadStates', states);
+    decorationEmitter.fire(vscode.Uri.file(filePath));
+}
+
+/**
+ * Move (or with newPath null, forget) the upload state of a file or folder after a rename/delete
+ */
+async function moveUploadStates(workspaceFolder, oldPath, newPath) {
+    const states = extensionContext.workspaceState.get('netsuite-auto-upload.uploadStates') || {};
+    const oldKey = uploadStateKey(workspaceFolder, oldPath);
+    const changed = [];
+    let found = false;
+
+    for (const key of Object.keys(states)) {
+        if (key !== oldKey && !key.startsWith(oldKey + path.sep)) continue;
+
+        const state = states[key];
+        delete states[key];
+        found = true;
+        if (newPath) {
+            const movedPath = newPath + key.substring(oldKey.length);
+            states[uploadStateKey(workspaceFolder, movedPath)] = state;
+            changed.push(vscode.Uri.file(movedPath));
+        }
+    }
+
+    if (!found) return;
+    await extensionContext.workspaceState.update('netsuite-auto-upload.uploadStates', states);
+    if (changed.length > 0) decorationEmitter.fire(changed);
+}
+
+/**
+ * FileDecorationProvider: badge watched files with their upload state
+ *   ✓ uploaded and unchanged, ● changed since the last upload, ! last upload failed, + never uploaded
+ */
+function provideUploadDecoration(uri) {
+    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
+    if (uri.scheme !== 'file' || !config.get('showDecorations')) return undefined;
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!workspaceFolder) return undefined;
+
+    const relativePath = path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/');
+    const watchFolder = getCredential('watchFolder', workspaceFolder) || 'src';
+    if (!relativePath.startsWith(watchFolder + '/')) return undefined;
+
+    const match = matchUploadPatterns(relativePath, watchFolder);
+    if (match.excluded || !match.included) return undefined;
+
+    let stat;
+    try {
+        stat = fs.statSync(uri.fsPath);
+    } catch (e) {
+        return undefined;
+    }
+    if (!stat.isFile()) return undefined;
+
+    const states = extensionContext.workspaceState.get('netsuite-auto-upload.uploadStates') || {};
+    const state = states[uploadStateKey(workspaceFolder, uri.fsPath)];
+
+    if (!state) {
+        return new vscode.FileDecoration('+', 'Never uploaded to NetSuite');
+    }
+
+    if (state.status === 'failed') {
+        return new vscode.FileDecoration('!', `Last upload to NetSuite failed: ${state.error}`,
+            new vscode.ThemeColor('list.errorForeground'));
+    }
+
+    // Only hash when the file was touched since the upload
+    const unchanged = (stat.mtimeMs === state.mtime && stat.size === state.size) || hashFile(uri.fsPath) === state.hash;
+    if (unchanged) {
+        return new vscode.FileDecoration('✓', 'Uploaded to NetSuite, no changes since');
+    }
+
+    return new vscode.FileDecoration('●', 'Changed since the last upload to NetSuite',
+        new vscode.ThemeColor('list.warningForeground'));
+}
+
+/**
+ * Command: Compare the local upload folder with the File Cabinet
+ */
+async function showSyncStatus() {
+    const workspaceFolder = getDefaultWorkspaceFolder();
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No workspace folder open');
+        return;
+    }
+
+    if (!requireRestletUrl(workspaceFolder)) return;
+
+    const sourcePath = getUploadSourcePath(workspaceFolder);
+    if (!fs.existsSync(sourcePath)) {
+        vscode.window.showErrorMessage(`Upload folder not found: ${sourcePath}. Run your build or change 'uploadFrom' setting.`);
+        return;
+    }
+
+    try {
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Checking sync status with NetSuite',
+            cancellable: false
+        }, progress => refreshSyncStatus(workspaceFolder, progress));
+    } catch (error) {
+        log('Sync status failed', { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Sync Status Failed: ${error.message}`);
+        return;
+    }
+
+    await vscode.commands.executeCommand('netsuiteSyncStatus.focus');
+
+    const counts = SYNC_GROUPS.map(group => `${syncStatus.groups[group.key].length} ${group.label.toLowerCase()}`);
+    log(`Sync status: ${counts.join(', ')}`);
+}
+
+/**
+ * Hash every upload file, ask the RESTlet for the remote versions and group the results
+ *
+ * A file differing from the server is "locally modified" when the server still has the
+ * version we last uploaded or downloaded (or we never synced it), otherwise "remotely modified".
+ */
+async function refreshSyncStatus(workspaceFolder, progress = null) {
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+    const uploads = collectUploadFiles(getUploadSourcePath(workspaceFolder), workspaceFolder)
+        .filter(uploadInfo => fs.existsSync(uploadInfo.uploadPath));
+
+    const local = new Map();
+    for (const uploadInfo of uploads) {
+        local.set(uploadInfo.netSuitePath, { uploadInfo: uploadInfo, hash: hashFile(uploadInfo.uploadPath) });
+    }
+
+    // The RESTlet returns what it could not check before running low on governance
+    const remote = new Map();
+    let pending = Array.from(local.keys());
+    while (pending.length > 0) {
+        const response = await makeAuthenticatedRequest(restletUrl, 'POST', {
+            action: 'status',
+            files: pending.map(netSuitePath => ({ path: netSuitePath, hash: local.get(netSuitePath).hash }))
+        }, workspaceFolder);
+
+        if (!response.success) {
+            throw restletError(response, 'Sync status failed');
+        }
+
+        response.results.forEach(result => remote.set(result.path, result));
+        const remaining = response.remaining || [];
+        if (remaining.length >= pending.length) {
+            throw new Error('RESTlet ran out of governance before checking any file');
+        }
+
+        if (progress) {
+            progress.report({ increment: 100 * (pending.length - remaining.length) / local.size });
+        }
+        pending = remaining;
+    }
+
+    const groups = {};
+    SYNC_GROUPS.forEach(group => groups[group.key] = []);
+
+    for (const [netSuitePath, { uploadInfo, hash }] of local) {
+        const remoteFile = remote.get(netSuitePath) || { exists: false };
+        const known = getFileVersion(workspaceFolder, netSuitePath);
+        const entry = { uploadInfo: uploadInfo, localHash: hash, remote: remoteFile };
+
+        if (!remoteFile.exists) {
+            groups.missingRemote.push(entry);
+        } else if (remoteFile.hash === hash) {
+            groups.inSync.push(entry);
+            await setFileVersion(workspaceFolder, netSuitePath, remoteFile);
+        } else if (!known || known.hash === remoteFile.hash) {
+            groups.localModified.push(entry);
+        } else {
+            groups.remoteModified.push(entry);
+        }
+    }
+
+    syncStatus = { workspaceFolder: workspaceFolder, time: Date.now(), groups: groups };
+    syncEmitter.fire();
+    return syncStatus;
+}
+
+/**
+ * Sync status tree: the four groups, files below
+ */
+function getSyncChildren(element) {
+    if (!syncStatus) return [];
+
+    if (!element) {
+        return SYNC_GROUPS.map(group => {
+            const entries = syncStatus.groups[group.key];
+            const item = new vscode.TreeItem(
+                group.label,
+                entries.length === 0 ? vscode.TreeItemCollapsibleState.None
+                    : group.key === 'inSync' ? vscode.TreeItemCollapsibleState.Collapsed
+                    : vscode.TreeItemCollapsibleState.Expanded
+            );
+            item.description = `${entries.length} file(s)`;
+            item.iconPath = new vscode.ThemeIcon(group.icon);
+            item.contextValue = 'syncGroup';
+            item.entries = entries;
+            return item;
+        });
+    }
+
+    return (element.entries || []).map(entry => createSyncItem(entry, element.label));
+}
+
+/**
+ * Tree item for one file in the sync status view
+ */
+function createSyncItem(entry, groupLabel) {
+    const { uploadInfo, remote } = entry;
+    const item = new vscode.TreeItem(path.basename(uploadInfo.uploadPath), vscode.TreeItemCollapsibleState.None);
+    item.resourceUri = vscode.Uri.file(uploadInfo.uploadPath);
+    item.description = path.dirname(uploadInfo.netSuitePath);
+    item.tooltip = new vscode.MarkdownString([
+        `**${uploadInfo.netSuitePath}**`,
+        `Status: ${groupLabel}`,
+        `Local: ${uploadInfo.relativePath}`,
+        remote.fileId ? `File ID: ${remote.fileId}` : null,
+        remote.exists ? `Remote: ${remote.size} bytes, modified ${remote.lastModified}` : null,
+        remote.error ? `Error: ${remote.message || remote.error}` : null
+    ].filter(line => line).join('\n\n'));
+    item.contextValue = 'syncEntry' + (remote.exists ? '.remote' : '');
+
+    item.command = remote.exists && remote.hash !== entry.localHash
+        ? { command: 'netsuite-auto-upload.compareWithRemote', title: 'Compare with File Cabinet', arguments: [item.resourceUri] }
+        : { command: 'vscode.open', title: 'Open Local File', arguments: [item.resourceUri] };
+
+    item.entry = entry;
+    return item;
+}
+
+/**
+ * Entries for a sync view command: the multi-selection, the clicked item or the view selection
+ * Group items stand for all of their files
+ */
+function getSyncSelection(item, selectedItems) {
+    const items = selectedItems && selectedItems.length > 0 ? selectedItems
+        : item ? [item]
+        : syncTreeView.selection;
+
+    const entries = new Set();
+    for (const selected of items) {
+        if (selected.entry) entries.add(selected.entry);
+        (selected.entries || []).forEach(entry => entries.add(entry));
+    }
+    return Array.from(entries);
+}
+
+/**
+ * Command: Upload the selected files from the sync status view
+ * The user picked them after seeing their status, so remote changes are overwritten
+ */
+async function uploadSyncSelection(item, selectedItems) {
+    if (!syncStatus) return;
+    const { workspaceFolder } = syncStatus;
+
+    const entries = getSyncSelection(item, selectedItems);
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage('Select files in the Sync Status view first');
+        return;
+    }
+
+    const summary = await uploadFiles(entries.map(entry => entry.uploadInfo), 'Sync Status selection', workspaceFolder, { force: true });
+    if (summary) {
+        await refreshSyncStatus(workspaceFolder).catch(error => log('Sync status refresh failed', { error: error.message }));
+    }
+}
+
+/**
+ * Command: Download the selected files from the sync status view into the upload folder
+ */
+async function downloadSyncSelection(item, selectedItems) {
+    if (!syncStatus) return;
+    const { workspaceFolder } = syncStatus;
+
+    const entries = getSyncSelection(item, selectedItems).filter(entry => entry.remote.exists);
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage('Select files that exist in the File Cabinet first');
+        return;
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+        `Overwrite ${entries.length} local file(s) with the File Cabinet version?`,
+        { modal: true, detail: entries.slice(0, 10).map(entry => entry.uploadInfo.relativePath).join('\n') },
+        'Overwrite'
+    );
+    if (choice !== 'Overwrite') return;
+
+    const failed = [];
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Downloading from NetSuite',
+        cancellable: true
+    }, async (progress, token) => {
+        for (const entry of entries) {
+            if (token.isCancellationRequested) break;
+            const { uploadInfo } = entry;
+
+            try {
+                const remoteFile = await fetchRemoteFile(uploadInfo.netSuitePath, workspaceFolder);
+                writeDownloadedFile(getDownloadTargets(uploadInfo, workspaceFolder), remoteFile);
+                await setFileVersion(workspaceFolder, uploadInfo.netSuitePath, remoteFile);
+                log(`Download successful: ${uploadInfo.netSuitePath} → ${uploadInfo.relativePath}`);
+            } catch (error) {
+                log(`Download failed: ${uploadInfo.netSuitePath}`, { error: error.message });
+                failed.push(uploadInfo.netSuitePath);
+            }
+
+            progress.report({ increment: 100 / entries.length, message: path.basename(uploadInfo.uploadPath) });
+        }
+    });
+
+    const message = `NetSuite download: ${entries.length - failed.length} downloaded, ${failed.length} failed`;
+    if (failed.length > 0) {
+        vscode.window.showWarningMessage(message, 'Show Logs').then(selection => {
+            if (selection === 'Show Logs') outputChannel.show();
+        });
+    } else {
+        vscode.window.showInformationMessage(`✓ ${message}`);
+    }
+
+    await refreshSyncStatus(workspaceFolder).catch(error => log('Sync status refresh failed', { error: error.message }));
+}
+
+/**
+ * Upload history tree: day groups at the top level, entries below
+ */
+function getHistoryChildren(element) {
+    if (!element) {
+        const days = new Map();
+        for (const entry of uploadHistory) {
+            const day = new Date(entry.time).toDateString();
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(entry);
+        }
+
+        return Array.from(days.entries()).map(([day, entries], index) => {
+            const item = new vscode.TreeItem(
+                formatHistoryDay(day),
+                index === 0 ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
+            );
+            item.description = `${entries.length} item(s)`;
+            item.iconPath = new vscode.ThemeIcon('calendar');
+            item.entries = entries;
+            return item;
+        });
+    }
+
+    return (element.entries || []).map(createHistoryItem);
+}
+
+/**
+ * "Today", "Yesterday" or the date
+ */
+function formatHistoryDay(day) {
+    const today = new Date();
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (day === today.toDateString()) return 'Today';
+    if (day === yesterday.toDateString()) return 'Yesterday';
+    return day;
+}
+
+/**
+ * Tree item for one history entry
+ */
+function createHistoryItem(entry) {
+    const icons = {
+        create: new vscode.ThemeIcon('add'),
+        update: new vscode.ThemeIcon('cloud-upload'),
+        delete: new vscode.ThemeIcon('trash'),
+        move: new vscode.ThemeIcon('arrow-right'),
+        restore: new vscode.ThemeIcon('history'),
+        failed: new vscode.ThemeIcon('error', new vscode.ThemeColor('errorForeground'))
+    };
+
+    const time = new Date(entry.time).toLocaleTimeString();
+    const item = new vscode.TreeItem(entry.file, vscode.TreeItemCollapsibleState.None);
+    item.description = `${entry.action} · ${time}`;
+    item.iconPath = icons[entry.action] || icons.update;
+    item.tooltip = new vscode.MarkdownString([
+        `**${entry.netSuitePath}**`,
+        entry.previousPath ? `Moved from: ${entry.previousPath}` : null,
+        `Action: ${entry.action}`,
+        entry.fileId ? `File ID: ${entry.fileId}` : null,
+        entry.error ? `Error: ${entry.error}` : null,
+        `Profile: ${entry.profile || 'default'}${entry.accountId ? ` (account ${entry.accountId})` : ''}`,
+        `Local: ${entry.localPath}`,
+        `Time: ${new Date(entry.time).toLocaleString()}`
+    ].filter(line => line).join('\n\n'));
+
+    // Context flags for view/item/context menus
+    item.contextValue = 'historyEntry' +
+        (entry.action !== 'delete' ? '.local' : '') +
+        (entry.fileId && entry.action !== 'delete' ? '.remote' : '');
+
+    if (entry.action !== 'delete' && entry.localPath) {
+        item.command = {
+            command: 'netsuite-auto-upload.history.openLocal',
+            title: 'Open Local File',
+            arguments: [item]
+        };
+    }
+
+    item.entry = entry;
+    return item;
+}
+
+/**
+ * Command: Upload a history entry's local file again
+ */
+async function reuploadHistoryEntry(item) {
+    const entry = item && item.entry;
+    if (!entry) return;
+
+    if (!fs.existsSync(entry.localPath)) {
+        vscode.window.showErrorMessage(`Local file no longer exists: ${entry.localPath}`);
+        return;
+    }
+
+    await uploadFile(vscode.Uri.file(entry.localPath));
+}
+
+/**
+ * Command: Open a history entry's local file
+ */
+async function openHistoryLocalFile(item) {
+    const entry = item && item.entry;
+    if (!entry) return;
+
+    if (!fs.existsSync(entry.localPath)) {
+        vscode.window.showErrorMessage(`Local file no longer exists: ${entry.localPath}`);
+        return;
+    }
+
+    await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(entry.localPath));
+}
+
+/**
+ * Command: Copy a history entry's File Cabinet file ID
+ */
+async function copyHistoryFileId(item) {
+    const entry = item && item.entry;
+    if (!entry || !entry.fileId) return;
+
+    await vscode.env.clipboard.writeText(String(entry.fileId));
+    vscode.window.setStatusBarMessage(`Copied file ID ${entry.fileId}`, 3000);
+}
+
+/**
+ * Command: Open the File Cabinet record of a history entry in the browser
+ */
+async function openHistoryInNetSuite(item) {
+    const entry = item && item.entry;
+    if (!entry || !entry.fileId) return;
+
+    const accountId = entry.accountId || getCredential('accountId', getDefaultWorkspaceFolder());
+    if (!accountId) {
+        vscode.window.showErrorMessage('Account ID not configured. Add NS_ACCOUNT_ID to .env file.');
+        return;
+    }
+
+    await vscode.env.openExternal(vscode.Uri.parse(getFileCabinetUrl(accountId, entry.fileId)));
+}
+
+/**
+ * File Cabinet record URL, e.g. https://1234567-sb1.app.netsuite.com/app/common/media/mediaitem.nl?id=123
+ */
+function getFileCabinetUrl(accountId, fileId) {
+    const host = String(accountId).toLowerCase().replace(/_/g, '-');
+    return `https://${host}.app.netsuite.com/app/common/media/mediaitem.nl?id=${fileId}`;
+}
+
+/**
+ * Command: Clear upload history
+ */
+async function clearHistory() {
+    uploadHistory = [];
+    await extensionContext.workspaceState.update('netsuite-auto-upload.uploadHistory', uploadHistory);
+    historyEmitter.fire();
+}
+
+/**
+ * File Cabinet browser tree: rootPath at the top level, folders load their children on expand
+ */
+async function getFileCabinetChildren(element) {
+    const workspaceFolder = element ? element.workspaceFolder : getDefaultWorkspaceFolder();
+    if (!workspaceFolder || !getCredential('restletUrl', workspaceFolder)) {
+        return [];
+    }
+
+    if (!element) {
+        const rootPath = '/' + (getCredential('rootPath', workspaceFolder) || '/SuiteScripts').replace(/^\/+|\/+$/g, '');
+        const root = createRemoteFolderItem({ name: rootPath.substring(1), path: rootPath }, workspaceFolder);
+        root.collapsibleState = vscode.TreeItemCollapsibleState.Expanded;
+        return [root];
+    }
+
+    try {
+        const listing = await listRemoteFolder(element.remotePath, workspaceFolder);
+        return [
+            ...listing.folders.map(folder => createRemoteFolderItem(folder, workspaceFolder)),
+            ...listing.files.map(file => createRemoteFileItem(file, workspaceFolder))
+        ];
+    } catch (error) {
+        log(`Failed to list ${element.remotePath}`, { error: error.message });
+        const item = new vscode.TreeItem(`Could not load folder: ${error.message}`, vscode.TreeItemCollapsibleState.None);
+        item.iconPath = new vscode.ThemeIcon('error', new vscode.ThemeColor('errorForeground'));
+        return [item];
+    }
+}
+
+/**
+ * List child folders and files of a File Cabinet folder
+ * Returns { folderId, path, folders: [{ id, name, path }], files: [{ id, name, path, size, lastModified }] }
+ */
+async function listRemoteFolder(netSuitePath, workspaceFolder) {
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+    const url = buildRestletUrl(restletUrl, { action: 'list', path: netSuitePath });
+    const response = await makeAuthenticatedRequest(url, 'GET', null, workspaceFolder);
+
+    if (!response.success) {
+        throw restletError(response, 'Listing failed');
+    }
+
+    return response;
+}
+
+/**
+ * Tree item for a File Cabinet folder
+ */
+function createRemoteFolderItem(folder, workspaceFolder) {
+    const item = new vscode.TreeItem(folder.name, vscode.TreeItemCollapsibleState.Collapsed);
+    item.iconPath = vscode.ThemeIcon.Folder;
+    item.resourceUri = vscode.Uri.from({ scheme: REMOTE_SCHEME, path: folder.path });
+    item.tooltip = folder.id ? `${folder.path}\nFolder ID: ${folder.id}` : folder.path;
+    item.contextValue = 'remoteFolder';
+    item.remotePath = folder.path;
+    item.remoteId = folder.id;
+    item.workspaceFolder = workspaceFolder;
+    return item;
+}
+
+/**
+ * Tree item for a File Cabinet file, marked when a local file maps to it
+ */
+function createRemoteFileItem(file, workspaceFolder) {
+    const localPath = calculateLocalPath(file.path, workspaceFolder);
+    const hasLocal = !!localPath && fs.existsSync(localPath);
+
+    const item = new vscode.TreeItem(file.name, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = vscode.ThemeIcon.File;
+    item.resourceUri = vscode.Uri.from({ scheme: REMOTE_SCHEME, path: file.path });
+    item.description = (hasLocal ? '● ' : '') + formatFileSize(file.size);
+    item.tooltip = new vscode.MarkdownString([
+        `**${file.path}**`,
+        `File ID: ${file.id}`,
+        file.lastModified ? `Modified: ${file.lastModified}` : null,
+        hasLocal ? `Local: ${path.relative(workspaceFolder.uri.fsPath, localPath)}` : 'No local copy'
+    ].filter(line => line).join('\n\n'));
+    item.contextValue = 'remoteFile' + (hasLocal ? '.local' : '');
+    item.command = {
+        command: 'netsuite-auto-upload.fileCabinet.open',
+        title: 'Open File',
+        arguments: [item]
+    };
+
+    item.remotePath = file.path;
+    item.remoteId = file.id;
+    item.localPath = localPath;
+    item.hasLocal = hasLocal;
+    item.workspaceFolder = workspaceFolder;
+    return item;
+}
+
+/**
+ * "512 B", "4.2 KB", "1.3 MB"
+ */
+function formatFileSize(size) {
+    const bytes = Number(size) || 0;
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Command: Open a File Cabinet file read-only
+ */
+async function openRemoteFile(item) {
+    if (!item || !item.remotePath) return;
+    await vscode.commands.executeCommand('vscode.open', makeRemoteUri(item.remotePath, item.workspaceFolder));
+}
+
+/**
+ * Command: Download a File Cabinet file to its mapped local path
+ */
+async function downloadRemoteFile(item) {
+    if (!item || !item.remotePath) return;
+    const { workspaceFolder, remotePath, localPath } = item;
+
+    if (!localPath) {
+        vscode.window.showErrorMessage(`No local path maps to ${remotePath}. Check uploadFrom and rootPath.`);
+        return;
+    }
+
+    const localRelative = path.relative(workspaceFolder.uri.fsPath, localPath).replace(/\\/g, '/');
+    if (fs.existsSync(localPath)) {
+        const choice = await vscode.window.showWarningMessage(
+            `Overwrite ${localRelative} with the File Cabinet version?`,
+            { modal: true },
+            'Overwrite'
+        );
+        if (choice !== 'Overwrite') return;
+    }
+
+    try {
+        log(`Downloading: ${remotePath}`);
+        const remoteFile = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: `$(cloud-download) Downloading ${item.label}...`
+        }, () => fetchRemoteFile(remotePath, workspaceFolder));
+
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        fs.writeFileSync(localPath, remoteContentToBuffer(remoteFile));
+        await setFileVersion(workspaceFolder, remotePath, remoteFile);
+
+        log(`Download successful: ${remotePath} → ${localRelative}`, { fileId: remoteFile.fileId, size: remoteFile.size });
+        vscode.window.showInformationMessage(`✓ ${remotePath} → ${localRelative}`);
+        fileCabinetEmitter.fire(item);
+    } catch (error) {
+        log(`Download failed: ${remotePath}`, { error: error.message });
+        vscode.window.showErrorMessage(`NetSuite Download Failed: ${error.message}`);
+    }
+}
+
+/**
+ * Command: Compare a File Cabinet file with its local copy
+ */
+async function compareRemoteFile(item) {
+    if (!item || !item.remotePath) return;
+
+    if (!item.hasLocal) {
+        vscode.window.showInformationMessage(`${item.remotePath} has no local copy. Opening the File Cabinet version.`);
+        await openRemoteFile(item);
+        return;
+    }
+
+    await compareWithRemote(vscode.Uri.file(item.localPath));
+}
+
+/**
+ * Command: Delete a File Cabinet file or folder from the browser
+ */
+async function deleteRemoteEntry(item) {
+    if (!item || !item.remotePath) return;
+    const isFolder = item.contextValue === 'remoteFolder';
+
+    const choice = await vscode.window.showWarningMessage(
+        isFolder
+            ? `Delete folder ${item.remotePath} and everything in it from the File Cabinet? This cannot be undone.`
+            : `Delete ${item.remotePath} from the File Cabinet? This cannot be undone.`,
+        { modal: true },
+        'Delete'
+    );
+    if (choice !== 'Delete') return;
+
+    await deleteRemoteFile({
+        workspaceFolder: item.workspaceFolder,
+        netSuitePath: item.remotePath,
+        isFolder: isFolder,
+        localPath: item.localPath || ''
+    });
+    fileCabinetEmitter.fire();
+}
+
+/**
+ * Command: Copy a File Cabinet path
+ */
+async function copyRemotePath(item) {
+    if (!item || !item.remotePath) return;
+
+    await vscode.env.clipboard.writeText(item.remotePath);
+    vscode.window.setStatusBarMessage(`Copied ${item.remotePath}`, 3000);
+}
+
+/**
+ * Command: Add a File Cabinet folder to the workspace as a netsuite:/ folder
+ */
+async function openFileCabinetFolder(item) {
+    let folderPath = item && item.remotePath;
+
+    if (!folderPath) {
+        folderPath = await vscode.window.showInputBox({
+            prompt: 'File Cabinet folder to open',
+            value: getCredential('rootPath', getDefaultWorkspaceFolder()) || '/SuiteScripts',
+            validateInput: value => value.includes('..') ? 'Path traversal (..) is not allowed' : null
+        });
+        if (!folderPath) return;
+    }
+
+    folderPath = '/' + folderPath.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    const uri = vscode.Uri.from({ scheme: FS_SCHEME, path: folderPath });
+    const count = (vscode.workspace.workspaceFolders || []).length;
+
+    log(`Opening File Cabinet folder: ${folderPath}`);
+    vscode.workspace.updateWorkspaceFolders(count, 0, { uri: uri, name: `File Cabinet: ${folderPath}` });
+}
+
+/**
+ * RESTlet request for the netsuite:/ file system
+ * Credentials come from the first local workspace folder (or settings)
+ */
+async function fileSystemRequest(method, params, payload = null) {
+    const workspaceFolder = getDefaultWorkspaceFolder();
+    const restletUrl = getCredential('restletUrl', workspaceFolder);
+    if (!restletUrl) {
+        throw vscode.FileSystemError.Unavailable('RESTlet URL not configured. Add NS_RESTLET_URL to .env file.');
+    }
+
+    let response;
+    try {
+        response = await makeAuthenticatedRequest(buildRestletUrl(restletUrl, params), method, payload, workspaceFolder);
     } catch (error) {
-        log('Configuration error', { error: error.message });
-        vscode.window.showErrorMessage(`Configuration failed: ${error.message}`);
+        throw vscode.FileSystemError.Unavailable(error.message);
+    }
+
+    if (!response.success) {
+        throw restletError(response, 'Request failed');
     }
+
+    return response;
 }
 
 /**
- * Command: Enable auto-upload
+ * Map RESTlet error codes to the errors VS Code expects from a file system
  */
-async function enable() {
-    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
-    await config.update('enabled', true, vscode.ConfigurationTarget.Workspace);
-    log('Auto-upload enabled');
-    vscode.window.showInformationMessage('NetSuite Auto Upload enabled');
+function toFileSystemError(error, uri) {
+    if (error instanceof vscode.FileSystemError) return error;
+    if (error.code === 'FILE_NOT_FOUND' || error.code === 'FOLDER_NOT_FOUND') {
+        return vscode.FileSystemError.FileNotFound(uri);
+    }
+    if (error.code === 'TARGET_EXISTS') {
+        return vscode.FileSystemError.FileExists(uri);
+    }
+    return new vscode.FileSystemError(error.message);
 }
 
 /**
- * Command: Disable auto-upload
+ * FileSystemProvider: stat
  */
-async function disable() {
-    const config = vscode.workspace.getConfiguration('netsuite-auto-upload');
-    await config.update('enabled', false, vscode.ConfigurationTarget.Workspace);
-    log('Auto-upload disabled');
-    vscode.window.showInformationMessage('NetSuite Auto Upload disabled');
+async function remoteStat(uri) {
+    try {
+        const response = await fileSystemRequest('GET', { action: 'stat', path: uri.path });
+        const mtime = Date.parse(response.lastModified) || 0;
+
+        return {
+            type: response.type === 'folder' ? vscode.FileType.Directory : vscode.FileType.File,
+            ctime: mtime,
+            mtime: mtime,
+            size: Number(response.size) || 0
+        };
+    } catch (error) {
+        throw toFileSystemError(error, uri);
+    }
 }
 
 /**
- * Command: Upload current file
+ * FileSystemProvider: readDirectory
  */
-async function uploadCurrentFile() {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-        vscode.window.showErrorMessage('No active file to upload');
-        return;
-    }
+async function remoteReadDirectory(uri) {
+    try {
+        const response = await fileSystemRequest('GET', { action: 'list', path: uri.path });
 
-    await editor.document.save();
-    await uploadFile(editor.document);
+        return [
+            ...response.folders.map(folder => [folder.name, vscode.FileType.Directory]),
+            ...response.files.map(file => [file.name, vscode.FileType.File])
+        ];
+    } catch (error) {
+        throw toFileSystemError(error, uri);
+    }
 }
 
 /**
- * Command: Test connection
+ * FileSystemProvider: createDirectory
  */
-async function testConnection() {
-    // Get active workspace folder
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    const workspaceFolder = workspaceFolders ? workspaceFolders[0] : null;
-    
-    const restletUrl = getCredential('restletUrl', workspaceFolder);
+async function remoteCreateDirectory(uri) {
+    let response;
+    try {
+        response = await fileSystemRequest('POST', {}, { action: 'mkdir', path: uri.path });
+    } catch (error) {
+        throw toFileSystemError(error, uri);
+    }
 
-    if (!restletUrl) {
-        vscode.window.showErrorMessage(
-            'NetSuite Auto Upload: RESTlet URL not configured. Add NS_RESTLET_URL to .env file.',
-            'Create .env Template'
-        ).then(selection => {
-            if (selection === 'Create .env Template') {
-                createEnvTemplate(workspaceFolder);
-            }
-        });
-        return;
+    if (!response.created) {
+        throw vscode.FileSystemError.FileExists(uri);
     }
 
-    const statusMessage = vscode.window.setStatusBarMessage('$(sync~spin) Testing NetSuite connection...');
+    log(`Created folder: ${uri.path}`, { folderId: response.folderId });
+    fileSystemEmitter.fire([{ type: vscode.FileChangeType.Created, uri: uri }]);
+}
 
+/**
+ * FileSystemProvider: readFile
+ */
+async function remoteReadFile(uri) {
     try {
-        log('Testing connection to: ' + restletUrl);
-        
-        // Use GET request for connection test (our enhanced RESTlet supports this)
-        const response = await makeAuthenticatedRequest(restletUrl, 'GET', null, workspaceFolder);
-
-        statusMessage.dispose();
-
-        if (response.success) {
-            log('Connection test successful', response);
-            vscode.window.showInformationMessage(
-                `✓ NetSuite connection successful! RESTlet v${response.version || '1.0'}`
-            );
-        } else {
-            throw new Error(response.message || 'Unknown error');
-        }
+        const response = await fileSystemRequest('GET', { path: uri.path });
+        return remoteContentToBuffer(response);
     } catch (error) {
-        statusMessage.dispose();
-        log('Connection test failed', { error: error.message });
-        
-        vscode.window.showErrorMessage(
-            `Connection failed: ${error.message}`,
-            'Show Logs',
-            'Create .env Template'
-        ).then(selection => {
-            if (selection === 'Show Logs') {
-                outputChannel.show();
-            } else if (selection === 'Create .env Template') {
-                createEnvTemplate(workspaceFolder);
-            }
-        });
+        throw toFileSystemError(error, uri);
     }
 }
 
 /**
- * Create .env template file in project root
+ * FileSystemProvider: writeFile
+ * Goes through the normal upload (POST), so existing files keep their file ID
  */
-async function createEnvTemplate(workspaceFolder) {
-    if (!workspaceFolder) {
-        const folders = vscode.workspace.workspaceFolders;
-        if (!folders || folders.length === 0) {
-            vscode.window.showErrorMessage('No workspace folder open');
-            return;
-        }
-        workspaceFolder = folders[0];
+async function remoteWriteFile(uri, content, options) {
+    let exists = true;
+    try {
+        await remoteStat(uri);
+    } catch (error) {
+        if (error.code !== 'FileNotFound') throw error;
+        exists = false;
     }
 
-    const envPath = path.join(workspaceFolder.uri.fsPath, '.env');
-    const envExamplePath = path.join(workspaceFolder.uri.fsPath, '.env.example');
-    
-    // Check if .env already exists
-    if (fs.existsSync(envPath)) {
-        const choice = await vscode.window.showWarningMessage(
-            '.env file already exists. Open it?',
-            'Open',
-            'Create .env.example instead'
-        );
-        
-        if (choice === 'Open') {
-            const doc = await vscode.workspace.openTextDocument(envPath);
-            await vscode.window.showTextDocument(doc);
-            return;
-        } else if (choice === 'Create .env.example instead') {
-            // Continue to create .env.example
-        } else {
-            return;
-        }
+    if (!exists && !options.create) {
+        throw vscode.FileSystemError.FileNotFound(uri);
+    }
+    if (exists && options.create && !options.overwrite) {
+        throw vscode.FileSystemError.FileExists(uri);
     }
 
-    const template = `# ============================================
-# NetSuite Auto Upload Configuration
-# ============================================
-# Copy this file to .env and fill in your credentials
-# IMPORTANT: Add .env to your .gitignore to keep credentials secure!
-#
-# This extension watches your source files and automatically
-# uploads the corresponding built files to NetSuite File Cabinet.
-# ============================================
-
-# ============================================
-# REQUIRED: NetSuite Authentication
-# ============================================
+    const buffer = Buffer.from(content);
+    const encoding = isBinaryFile(uri.path, buffer) ? 'base64' : 'utf8';
 
-# NetSuite Account ID
-# Found in: Setup > Company > Company Information
-# For sandbox accounts, add _SB1 suffix (e.g., 1234567_SB1)
-NS_ACCOUNT_ID=
+    let response;
+    try {
+        response = await fileSystemRequest('POST', {}, {
+            path: uri.path,
+            content: buffer.toString(encoding),
+            encoding: encoding,
+            description: 'Edited via Auto-Upload (netsuite:/ workspace folder)'
+        });
+    } catch (error) {
+        log(`Save failed: ${uri.path}`, { error: error.message });
+        throw toFileSystemError(error, uri);
+    }
 
-# RESTlet External URL
-# Found in: Customization > Scripting > Scripts > [Your RESTlet] > Deployments
-# Copy the "External URL" from the Script Deployment page
-# Format: https://1234567.restlets.api.netsuite.com/app/site/hosting/restlet.nl?script=123&deploy=1
-NS_RESTLET_URL=
+    log(`Saved to File Cabinet: ${uri.path}`, { fileId: response.fileId, action: response.action });
+    fileSystemEmitter.fire([{ type: exists ? vscode.FileChangeType.Changed : vscode.FileChangeType.Created, uri: uri }]);
+}
 
-# OAuth Consumer Key & Secret
-# Found in: Setup > Integrations > Manage Integrations > [Your Integration]
-# Create an Integration record if you don't have one, then copy the Consumer Key and Secret
-NS_CONSUMER_KEY=
-NS_CONSUMER_SECRET=
+/**
+ * FileSystemProvider: delete
+ * Folders are only deleted with their contents when VS Code asks for a recursive delete
+ */
+async function remoteDelete(uri, options = {}) {
+    const stat = await remoteStat(uri);
+    const isFolder = stat.type === vscode.FileType.Directory;
 
-# OAuth Token ID & Secret
-# Found in: Setup > Integrations > Manage Integrations > [Your Integration] > Access Tokens
-# Create an Access Token with the following permissions:
-#   - Documents & Files: Full
-#   - SuiteScript: Full
-NS_TOKEN_ID=
-NS_TOKEN_SECRET=
+    if (isFolder && !options.recursive) {
+        const entries = await remoteReadDirectory(uri);
+        if (entries.length > 0) {
+            throw new vscode.FileSystemError(`${uri.path} is not empty`);
+        }
+    }
 
-# ============================================
-# OPTIONAL: Upload Settings
-# ============================================
-# These settings control which folders are watched and uploaded.
-# Leave empty to use defaults, or customize for your workflow.
+    try {
+        // The RESTlet only deletes folders with recursive=T; non-recursive ones are empty by now
+        await fileSystemRequest('DELETE', { path: uri.path, recursive: isFolder ? 'T' : '' });
+    } catch (error) {
+        throw toFileSystemError(error, uri);
+    }
 
-# Folder to upload files FROM (default: dist)
-# This is where your built/transpiled files are located.
-# Examples:
-#   - 'dist' for transpiled JavaScript/TypeScript
-#   - 'build' for compiled files
-#   - 'src' if uploading source files directly
-NS_UPLOAD_FROM=dist
+    log(`Deleted from File Cabinet: ${uri.path}${isFolder ? ' (folder)' : ''}`);
+    fileSystemEmitter.fire([{ type: vscode.FileChangeType.Deleted, uri: uri }]);
+}
 
-# Folder to watch for file saves (default: src)
-# When you save a file in this folder, the extension will:
-#   1. Find the corresponding file in NS_UPLOAD_FROM
-#   2. Upload that file to NetSuite
-# Examples:
-#   - 'src' for source files (most common)
-#   - 'source' if your source folder is named differently
-NS_WATCH_FOLDER=src
+/**
+ * FileSystemProvider: rename
+ * Moves in place on the server, keeping file IDs
+ * An overwritten target is moved aside first and only deleted once the move succeeded.
+ */
+async function remoteRename(oldUri, newUri, options) {
+    const move = (fromPath, toPath) => fileSystemRequest('POST', {}, { action: 'move', path: fromPath, newPath: toPath });
 
-# NetSuite root path in File Cabinet (default: /SuiteScripts)
-# Files are uploaded relative to this path.
-# Examples:
-#   - '/SuiteScripts' for SuiteScript files
-#   - '/SuiteApps' for SuiteApp files
-#   - '/Templates' for template files
-NS_ROOT_PATH=/SuiteScripts
+    try {
+        await move(oldUri.path, newUri.path);
+    } catch (error) {
+        if (error.code !== 'TARGET_EXISTS' || !options.overwrite) {
+            throw toFileSystemError(error, newUri);
+        }
 
-# ============================================
-# Example Workflow
-# ============================================
-# 1. Edit: src/SuiteScripts/myScript.js
-# 2. Build process creates: dist/SuiteScripts/myScript.js
-# 3. Extension uploads: dist/SuiteScripts/myScript.js → NetSuite
-# 4. File appears in: SuiteScripts > SuiteScripts > myScript.js
-#
-# To upload source files directly (no build step):
-#   NS_UPLOAD_FROM=src
-#   NS_WATCH_FOLDER=src
-# ============================================
-`;
+        const parkedPath = `${newUri.path}.replaced-${Date.now()}`;
+        try {
+            await move(newUri.path, parkedPath);
+        } catch (parkError) {
+            throw toFileSystemError(parkError, newUri);
+        }
 
-    const targetPath = fs.existsSync(envPath) ? envExamplePath : envPath;
-    
-    try {
-        fs.writeFileSync(targetPath, template, 'utf8');
-        
-        // Add .env to .gitignore if it exists
-        const gitignorePath = path.join(workspaceFolder.uri.fsPath, '.gitignore');
-        if (fs.existsSync(gitignorePath)) {
-            const gitignore = fs.readFileSync(gitignorePath, 'utf8');
-            if (!gitignore.includes('.env')) {
-                fs.appendFileSync(gitignorePath, '\n# NetSuite credentials\n.env\n.env.local\n');
-                log('Added .env to .gitignore');
-            }
+        try {
+            await move(oldUri.path, newUri.path);
+        } catch (moveError) {
+            // Put the original target back
+            await move(parkedPath, newUri.path)
+                .catch(e => log(`Could not restore ${newUri.path} from ${parkedPath}`, { error: e.message }));
+            throw toFileSystemError(moveError, newUri);
         }
-        
-        // Open the file
-        const doc = await vscode.workspace.openTextDocument(targetPath);
-        await vscode.window.showTextDocument(doc);
-        
-        vscode.window.showInformationMessage(
-            `Created ${path.basename(targetPath)}. Fill in your NetSuite credentials.`
-        );
-        
-        // Clear cache so new .env is picked up
-        clearEnvCache(workspaceFolder);
-        
-    } catch (error) {
-        vscode.window.showErrorMessage(`Failed to create .env: ${error.message}`);
+
+        await fileSystemRequest('DELETE', { path: parkedPath, recursive: 'T' })
+            .catch(e => log(`Could not delete the replaced ${parkedPath}`, { error: e.message }));
     }
+
+    log(`Moved in File Cabinet: ${oldUri.path} → ${newUri.path}`);
+    fileSystemEmitter.fire([
+        { type: vscode.FileChangeType.Deleted, uri: oldUri },
+        { type: vscode.FileChangeType.Created, uri: newUri }
+    ]);
 }
 
 /**
@@ -1192,14 +4827,30 @@ function deactivate() {
     if (fileWatcher) {
         fileWatcher.dispose();
     }
+    if (deleteWatcher) {
+        deleteWatcher.dispose();
+    }
+    if (deleteTimer) {
+        clearTimeout(deleteTimer);
+    }
     if (outputChannel) {
         outputChannel.dispose();
     }
-    debounceTimers.forEach(timer => clearTimeout(timer));
-    debounceTimers.clear();
+    if (uploadTimer) {
+        clearTimeout(uploadTimer);
+    }
+    if (queueTimer) {
+        clearTimeout(queueTimer);
+    }
+    pendingUploads.clear();
 }
 
 module.exports = {
     activate,
-    deactivate
+    deactivate,
+    // Used by the tests in test/
+    createJwtAssertion,
+    getOAuth2Token,
+    makeAuthenticatedRequest,
+    sendRequest
 };
@@ -0,0 +1,220 @@
+/**
+ * OAuth 2.0 client credentials tests
+ *
+ * Runs the extension's token code against a local stand-in token server and RESTlet.
+ * The 'vscode' module is replaced by a stub whose settings come from `settings` below.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+const http = require('http');
+const https = require('https');
+const nodeCrypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const settings = {};
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+    if (request === 'vscode') {
+        return {
+            workspace: {
+                getConfiguration: () => ({ get: key => settings[key] })
+            }
+        };
+    }
+    return originalLoad.call(this, request, parent, isMain);
+};
+
+const { createJwtAssertion, getOAuth2Token, makeAuthenticatedRequest, sendRequest } = require('../src/extension');
+
+/**
+ * Split a JWT into its decoded header and payload and the raw signing input and signature
+ */
+function decodeJwt(jwt) {
+    const [header, payload, signature] = jwt.split('.');
+    return {
+        header: JSON.parse(Buffer.from(header, 'base64url').toString()),
+        payload: JSON.parse(Buffer.from(payload, 'base64url').toString()),
+        signingInput: `${header}.${payload}`,
+        signature: Buffer.from(signature, 'base64url')
+    };
+}
+
+/**
+ * Check a JWT signature the way NetSuite does for PS256 and ES256
+ */
+function verifyJwt(jwt, publicKey) {
+    const { header, signingInput, signature } = decodeJwt(jwt);
+    const key = header.alg === 'ES256'
+        ? { key: publicKey, dsaEncoding: 'ieee-p1363' }
+        : { key: publicKey, padding: nodeCrypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: nodeCrypto.constants.RSA_PSS_SALTLEN_DIGEST };
+    return nodeCrypto.verify('sha256', Buffer.from(signingInput), key, signature);
+}
+
+/**
+ * Start an http server on a free port; resolves with the server and its base URL
+ */
+function listen(handler) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => handler(req, res, body));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server: server, url: `http://127.0.0.1:${server.address().port}` });
+    }));
+}
+
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+describe('createJwtAssertion', () => {
+    it('signs RSA keys with PS256 and the certificate ID as kid', () => {
+        const { privateKey, publicKey } = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const jwt = createJwtAssertion({ iss: 'client', scope: ['restlets'], aud: 'https://token' }, 'cert-rsa', privateKey);
+        const { header, payload } = decodeJwt(jwt);
+
+        assert.deepStrictEqual(header, { alg: 'PS256', typ: 'JWT', kid: 'cert-rsa' });
+        assert.strictEqual(payload.iss, 'client');
+        assert.deepStrictEqual(payload.scope, ['restlets']);
+        assert.strictEqual(payload.aud, 'https://token');
+        assert.strictEqual(payload.exp - payload.iat, 3600);
+        assert.ok(verifyJwt(jwt, publicKey));
+    });
+
+    it('signs EC keys with ES256 in raw r||s form', () => {
+        const { privateKey, publicKey } = nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const jwt = createJwtAssertion({ iss: 'client' }, 'cert-ec', privateKey);
+        const { header, signature } = decodeJwt(jwt);
+
+        assert.deepStrictEqual(header, { alg: 'ES256', typ: 'JWT', kid: 'cert-ec' });
+        assert.strictEqual(signature.length, 64);
+        assert.ok(verifyJwt(jwt, publicKey));
+    });
+});
+
+describe('OAuth 2.0 tokens', () => {
+    let tmpDir;
+    let publicKey;
+    let tokenServer;
+    let restletServer;
+    let tokenRequests;
+    let acceptedToken;
+    let clientCount = 0;
+
+    before(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ns-oauth2-'));
+        const keys = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        publicKey = keys.publicKey;
+        fs.writeFileSync(path.join(tmpDir, 'private.pem'), keys.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+        // Stand-in token endpoint: checks the assertion and hands out token-1, token-2, ...
+        tokenServer = await listen((req, res, body) => {
+            const form = new URLSearchParams(body);
+            const assertion = form.get('client_assertion');
+            const { header, payload } = decodeJwt(assertion);
+
+            if (form.get('grant_type') !== 'client_credentials' || header.kid !== 'cert-1' ||
+                payload.iss !== settings['oauth2.clientId'] || !verifyJwt(assertion, publicKey)) {
+                sendJson(res, 400, { error: 'invalid_client', error_description: 'Bad assertion' });
+                return;
+            }
+
+            tokenRequests++;
+            acceptedToken = `token-${tokenRequests}`;
+            sendJson(res, 200, { access_token: acceptedToken, token_type: 'bearer', expires_in: 3600 });
+        });
+
+        // Stand-in RESTlet: only the most recently issued token is accepted
+        restletServer = await listen((req, res) => {
+            if (req.headers.authorization !== `Bearer ${acceptedToken}`) {
+                sendJson(res, 401, { error: 'INVALID_LOGIN_ATTEMPT', message: 'Invalid login attempt.' });
+                return;
+            }
+            sendJson(res, 200, { success: true, authorization: req.headers.authorization });
+        });
+    });
+
+    after(() => {
+        tokenServer.server.close();
+        restletServer.server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        // A new client ID per test, so cached tokens don't leak between tests
+        clientCount++;
+        tokenRequests = 0;
+        acceptedToken = null;
+        Object.assign(settings, {
+            'authMode': 'oauth2',
+            'oauth2.clientId': `client-${clientCount}`,
+            'oauth2.certificateId': 'cert-1',
+            'oauth2.privateKeyPath': path.join(tmpDir, 'private.pem'),
+            'oauth2.tokenUrl': `${tokenServer.url}/services/rest/auth/oauth2/v1/token`
+        });
+    });
+
+    it('requests a token once and reuses it until it expires', async () => {
+        const [first, second] = await Promise.all([getOAuth2Token(null), getOAuth2Token(null)]);
+        const third = await getOAuth2Token(null);
+
+        assert.strictEqual(first, 'token-1');
+        assert.strictEqual(second, 'token-1');
+        assert.strictEqual(third, 'token-1');
+        assert.strictEqual(tokenRequests, 1);
+    });
+
+    it('requests a new token when forced', async () => {
+        assert.strictEqual(await getOAuth2Token(null), 'token-1');
+        assert.strictEqual(await getOAuth2Token(null, true), 'token-2');
+        assert.strictEqual(await getOAuth2Token(null), 'token-2');
+        assert.strictEqual(tokenRequests, 2);
+    });
+
+    it('reports token endpoint errors', async () => {
+        settings['oauth2.certificateId'] = 'cert-unknown';
+        await assert.rejects(getOAuth2Token(null), {
+            message: 'OAuth 2.0 token request failed: Bad assertion',
+            statusCode: 400
+        });
+        assert.strictEqual(tokenRequests, 0);
+    });
+
+    it('fetches a new token and retries once when the RESTlet answers 401', async () => {
+        // RESTlet calls are https only; send them to the plain http stand-in
+        const request = mock.method(https, 'request', (options, callback) => http.request(options, callback));
+        const restletUrl = `https://127.0.0.1:${new URL(restletServer.url).port}/app/site/hosting/restlet.nl?script=1&deploy=1`;
+
+        assert.strictEqual(await getOAuth2Token(null), 'token-1');
+        // Revoke the cached token before it expires
+        acceptedToken = 'token-revoked';
+        const response = await makeAuthenticatedRequest(restletUrl, 'GET', null, null);
+
+        assert.deepStrictEqual(response, { success: true, authorization: 'Bearer token-2' });
+        assert.strictEqual(tokenRequests, 2);
+        assert.strictEqual(request.mock.callCount(), 2);
+        request.mock.restore();
+    });
+
+    it('refuses plain http for token URLs off this machine', async () => {
+        settings['oauth2.tokenUrl'] = 'http://token.example.com/services/rest/auth/oauth2/v1/token';
+        await assert.rejects(getOAuth2Token(null), /Refusing to send credentials over http: \(token\.example\.com\)/);
+        assert.strictEqual(tokenRequests, 0);
+    });
+
+    it('refuses plain http for RESTlet calls', async () => {
+        await assert.rejects(
+            makeAuthenticatedRequest(`${restletServer.url}/app/site/hosting/restlet.nl`, 'GET', null, null),
+            /Refusing to send credentials over http:/
+        );
+        await assert.rejects(sendRequest(`${restletServer.url}/`, 'GET', {}, null, 1000), /Refusing/);
+    });
+});